@@ -16,6 +16,7 @@ const VERSION = require('../package.json').version;
 
 const DEFAULT_CONFIG_PATH = 'applitools.config.js';
 const SUPPORTED_STORYBOOK_APPS = ['react', 'vue', 'react-native', 'angular', 'polymer'];
+const SUPPORTED_STORYBOOK_VERSIONS = [2, 3, 4, 5];
 
 /* --- Create CLI --- */
 const cliOptions = yargs.usage('Usage: $0 [options]')
@@ -80,8 +81,8 @@ if (cliOptions.configDir) {
 if (configs.storybookApp && !SUPPORTED_STORYBOOK_APPS.includes(configs.storybookApp)) {
   throw new Error(`storybookApp should be one of [${SUPPORTED_STORYBOOK_APPS}].`);
 }
-if (configs.storybookVersion && ![2, 3].includes(configs.storybookVersion)) {
-  throw new Error('storybookVersion should be 2 or 3.');
+if (configs.storybookVersion && !SUPPORTED_STORYBOOK_VERSIONS.includes(configs.storybookVersion)) {
+  throw new Error(`storybookVersion should be one of [${SUPPORTED_STORYBOOK_VERSIONS}].`);
 }
 
 
@@ -98,6 +99,12 @@ if (!configs.storybookVersion) configs.storybookVersion = packageVersion.version
 
 
 /* --- Main execution flow --- */
+if (!EyesStorybookUtils.isStoriesExportRequired(configs)) {
+  console.info(chalk.green(`\nStorybook ${configs.storybookVersion} exposes stories to window object by itself.`));
+  console.info(chalk.green('No changes required.'));
+  process.exit();
+}
+
 const storybookConfigPath = path.resolve(process.cwd(), configs.storybookConfigDir, 'config.js');
 if (!fs.existsSync(storybookConfigPath)) {
   return promiseFactory.reject(new Error(`Storybook config file not found: ${storybookConfigPath}`));
@@ -115,4 +122,5 @@ const template = EyesStorybookUtils.updateStorybookConfig(configs, storybookConf
 EyesStorybookUtils.writeFile(storybookConfigPath, template);
 
 console.info(chalk.green('\nYour Storybook\'s config file updated.'));
+console.info(chalk.green('It\'s needed only if you start or build Storybook by your own.'));
 process.exit();
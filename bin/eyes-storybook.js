@@ -13,12 +13,45 @@ const { Logger, ConsoleLogHandler, PromiseFactory, TestResultsFormatter } = requ
 
 const defaultConfig = require('../lib/DefaultConfig');
 const { EyesStorybookUtils } = require('../lib/EyesStorybookUtils');
+const { EyesEmulationUtils } = require('../lib/EyesEmulationUtils');
 const VERSION = require('../package.json').version;
 
 const DEFAULT_CONFIG_PATH = 'applitools.config.js';
 const EYES_TEST_FAILED_EXIT_CODE = 130;
+// stories which were not tested fail the run regardless of `--exitcode`, like errors which stop the run
+const STORY_ERRORS_EXIT_CODE = 1;
 const SUPPORTED_STORYBOOK_APPS = ['react', 'vue', 'react-native', 'angular', 'polymer'];
-const SUPPORTED_VISUALGRID_BROWSERS = ['chrome', 'firefox'];
+const SUPPORTED_STORYBOOK_VERSIONS = [2, 3, 4, 5];
+const SUPPORTED_RUNNERS = ['visualgrid', 'selenium', 'cdp'];
+// object properties of the config, which are merged with their defaults instead of replacing them
+const NESTED_CONFIG_PROPERTIES = ['resources', 'externalResources'];
+const MAX_LISTED_RESOURCES = 10;
+
+/**
+ * Adds stories which were not tested to TAP output of the results, as not passed tests.
+ *
+ * @param {string} tapString TAP output of `TestResultsFormatter` without sub tests
+ * @param {number} resultsCount
+ * @param {{story: EyesStorybookStory, message: string}[]} storyErrors
+ * @param {string} appName
+ * @return {string}
+ */
+const addStoryErrorsToTap = (tapString, resultsCount, storyErrors, appName) => {
+  if (!storyErrors.length) {
+    return tapString;
+  }
+
+  let tap = `1..${resultsCount + storyErrors.length}\n${tapString.replace(/^1\.\.\d+\n/, '')}`;
+  storyErrors.forEach(({ story, message }, i) => {
+    if (resultsCount + i > 0) {
+      tap += '#\n';
+    }
+    tap += `not ok ${resultsCount + i + 1} - [NOT TESTED] Test: '${story.getCompoundTitle()}', ` +
+      `Application: '${appName}'\n`;
+    tap += `#\tError: ${message.replace(/\n/g, ' ')}\n`;
+  });
+  return tap;
+};
 
 /* --- Create CLI --- */
 const cliOptions = yargs.usage('Usage: $0 [options]')
@@ -71,6 +104,12 @@ const cliOptions = yargs.usage('Usage: $0 [options]')
     },
 
     // eyes-storybook options
+    runner: {
+      description: 'Runner of stories: VisualGrid (default), Selenium or Chrome DevTools protocol (local Chrome)',
+      requiresArg: true,
+      choices: SUPPORTED_RUNNERS,
+      string: true,
+    },
     local: {
       alias: 'l',
       description: 'Force to use Selenium mode',
@@ -88,6 +127,50 @@ const cliOptions = yargs.usage('Usage: $0 [options]')
       requiresArg: false,
       boolean: true,
     },
+    include: {
+      description: 'Test only stories which match the glob or /regex/, can be specified multiple times',
+      requiresArg: true,
+      array: true,
+      string: true,
+    },
+    exclude: {
+      description: 'Skip stories which match the glob or /regex/, can be specified multiple times',
+      requiresArg: true,
+      array: true,
+      string: true,
+    },
+    'url-param': {
+      description: 'Add query parameter to url of stories, e.g. theme=dark, can be specified multiple times',
+      requiresArg: true,
+      array: true,
+      string: true,
+    },
+    'changed-since': {
+      description: 'Test only stories affected by changes since the git ref (requires webpack stats of --build)',
+      requiresArg: true,
+      string: true,
+    },
+    shard: {
+      description: 'Test only part of stories, e.g. 3/8 is the third of eight parts (for parallel CI jobs)',
+      requiresArg: true,
+      string: true,
+    },
+    'dom-snapshots': {
+      description: 'Render stories in JSDom and send their DOM to VisualGrid instead of Storybook\'s scripts',
+      requiresArg: false,
+      boolean: true,
+    },
+    'resource-cache': {
+      description: 'Remember resources uploaded to VisualGrid between runs, use --no-resource-cache to disable',
+      requiresArg: false,
+      boolean: true,
+      default: undefined, // to not override the config property
+    },
+    'list-stories': {
+      description: 'Only list stories which would be tested as JSON, to stdout or to the given file',
+      requiresArg: false,
+      string: true,
+    },
 
     // general
     exitcode: {
@@ -117,19 +200,28 @@ const cliOptions = yargs.usage('Usage: $0 [options]')
   })
   .argv;
 
+// when the list of stories is printed to stdout, keep it clean from other messages
+const isListStories = cliOptions.listStories !== undefined;
+const printInfo = isListStories && !cliOptions.listStories ? console.error : console.log;
+
 
 /* --- Load configuration from config file --- */
 let configs;
-console.log(`Used eyes.storybook of version ${VERSION}.`);
+printInfo(`Used eyes.storybook of version ${VERSION}.`);
 const configsPath = path.resolve(process.cwd(), cliOptions.conf);
 if (fs.existsSync(configsPath)) {
   const userDefinedConfig = require(configsPath); // eslint-disable-line import/no-dynamic-require
-  configs = Object.assign(defaultConfig, userDefinedConfig);
-  console.log(`Configuration was loaded from "${configsPath}".`);
+  configs = Object.assign({}, defaultConfig, userDefinedConfig);
+  NESTED_CONFIG_PROPERTIES.forEach(name => {
+    if (userDefinedConfig[name]) {
+      configs[name] = Object.assign({}, defaultConfig[name], userDefinedConfig[name]);
+    }
+  });
+  printInfo(`Configuration was loaded from "${configsPath}".`);
 } else if (cliOptions.conf !== DEFAULT_CONFIG_PATH) {
   throw new Error(`Configuration file cannot be found in "${configsPath}".`);
 } else {
-  console.log('No configuration file found. Use default.');
+  printInfo('No configuration file found. Use default.');
   configs = defaultConfig;
 }
 
@@ -171,15 +263,68 @@ if (cliOptions.port) {
 if (cliOptions.host) {
   configs.storybookHost = cliOptions.host;
 }
+if (cliOptions.runner) {
+  configs.runner = cliOptions.runner;
+}
 if (cliOptions.local) {
-  configs.useSelenium = true;
+  configs.runner = 'selenium';
   logger.verbose('Forced Selenium mode, due to --local option.');
 }
+if (!configs.runner) {
+  configs.runner = configs.useSelenium ? 'selenium' : 'visualgrid';
+}
+if (!SUPPORTED_RUNNERS.includes(configs.runner)) {
+  throw new Error(`runner should be one of [${SUPPORTED_RUNNERS}].`);
+}
+configs.useSelenium = configs.runner === 'selenium';
 if (cliOptions.build) {
   configs.skipStorybookBuild = false;
   logger.verbose('Forced Storybook build, due to --build option.');
 }
-if (!configs.apiKey) {
+if (cliOptions.include) {
+  configs.include = cliOptions.include;
+}
+if (cliOptions.exclude) {
+  configs.exclude = cliOptions.exclude;
+}
+if (cliOptions.urlParam) {
+  configs.storyUrlParams = Object.assign({}, configs.storyUrlParams);
+  cliOptions.urlParam.forEach(param => {
+    const separatorIndex = param.indexOf('=');
+    if (separatorIndex <= 0) {
+      throw new Error(`Url param "${param}" should be in format name=value.`);
+    }
+    configs.storyUrlParams[param.substr(0, separatorIndex)] = param.substr(separatorIndex + 1);
+  });
+}
+if (configs.storyUrl && !['string', 'function'].includes(typeof configs.storyUrl)) {
+  throw new Error('storyUrl should be a template string or a function.');
+}
+if (cliOptions.changedSince) {
+  configs.changedSince = cliOptions.changedSince;
+}
+if (cliOptions.shard) {
+  configs.shard = cliOptions.shard;
+}
+if (cliOptions.domSnapshots) {
+  configs.useDomSnapshots = true;
+}
+if (cliOptions.resourceCache === false) {
+  configs.resourceCache = false;
+}
+if (configs.shard) {
+  configs.shard = EyesStorybookUtils.parseShard(configs.shard);
+  if (!configs.batchId) {
+    configs.batchId = EyesStorybookUtils.getCiBuildId();
+    if (configs.batchId) {
+      logger.verbose(`Batch id ${configs.batchId} was derived from CI environment.`);
+    } else if (!isListStories) {
+      console.info(chalk.yellow('\nBatch id is not set and CI is not detected, shards will be in different batches.'));
+      console.info(chalk.yellow('Set `batchId` in configuration or APPLITOOLS_BATCH_ID environment variable.\n'));
+    }
+  }
+}
+if (!configs.apiKey && !isListStories) {
   console.info(chalk.red('\nEnvironment variable APPLITOOLS_API_KEY is not set.'));
   console.info(chalk.green('\nTo fix:'));
   console.info(chalk.green('1. Register for Applitools developer account at www.applitools.com/devreg'));
@@ -195,8 +340,8 @@ if (!configs.maxConcurrency && configs.maxConcurrency !== 0) {
 if (configs.storybookApp && !SUPPORTED_STORYBOOK_APPS.includes(configs.storybookApp)) {
   throw new Error(`storybookApp should be one of [${SUPPORTED_STORYBOOK_APPS}].`);
 }
-if (configs.storybookVersion && ![2, 3].includes(configs.storybookVersion)) {
-  throw new Error('storybookVersion should be 2 or 3.');
+if (configs.storybookVersion && !SUPPORTED_STORYBOOK_VERSIONS.includes(configs.storybookVersion)) {
+  throw new Error(`storybookVersion should be one of [${SUPPORTED_STORYBOOK_VERSIONS}].`);
 }
 if (configs.storybookUrl) {
   if (!configs.storybookUrl.endsWith('/')) {
@@ -213,27 +358,49 @@ if (configs.viewportSize) {
     }
   });
 }
+if (configs.emulation) {
+  EyesEmulationUtils.getEmulations(configs.emulation); // throws if the emulation is not valid
+}
 
 if (configs.useSelenium) { // local mode rules
   if (Array.isArray(configs.capabilities.browserName)) {
     throw new Error('browserName should be single item, array is not supported in Browser (local) mode.');
   }
+  if (configs.emulation) {
+    throw new Error('emulation is not supported in Browser (local) mode.');
+  }
+  if (configs.browsers) {
+    throw new Error('browsers is not supported in Browser (local) mode, use capabilities instead.');
+  }
+} else if (configs.runner === 'cdp') { // CDP mode rules
+  if (configs.browsers) {
+    throw new Error('browsers is not supported in CDP mode, stories are tested in Chrome only.');
+  }
 } else if (cliOptions.legacy) { // remote (legacy) mode rules
+  if (configs.emulation) {
+    throw new Error('emulation is not supported in VisualGrid-legacy mode.');
+  }
+  if (configs.browsers) {
+    throw new Error('browsers is not supported in VisualGrid-legacy mode, use capabilities instead.');
+  }
   if (Array.isArray(configs.capabilities.browserName)) {
     throw new Error('browserName should be single item, array is not supported in VisualGrid-legacy mode.');
   }
-  if (!SUPPORTED_VISUALGRID_BROWSERS.includes(configs.capabilities.browserName)) {
-    throw new Error(`Given browserName is not supported, possible values [${SUPPORTED_VISUALGRID_BROWSERS}].`);
+  if (!EyesStorybookUtils.SUPPORTED_VISUALGRID_BROWSERS.includes(configs.capabilities.browserName)) {
+    throw new Error('Given browserName is not supported, ' +
+      `possible values [${EyesStorybookUtils.SUPPORTED_VISUALGRID_BROWSERS}].`);
   }
 } else { // remote mode rules
   if (!Array.isArray(configs.capabilities.browserName)) {
     configs.capabilities.browserName = [configs.capabilities.browserName];
   }
-  configs.capabilities.browserName.forEach(browserName => {
-    if (!SUPPORTED_VISUALGRID_BROWSERS.includes(browserName)) {
-      throw new Error(`Given browserName is not supported, possible values [${SUPPORTED_VISUALGRID_BROWSERS}].`);
-    }
-  });
+  configs.capabilities.browserName.concat([].concat(configs.browsers || []).map(browser => browser.name))
+    .forEach(browserName => {
+      if (!EyesStorybookUtils.SUPPORTED_VISUALGRID_BROWSERS.includes(browserName)) {
+        throw new Error('Given browserName is not supported, ' +
+      `possible values [${EyesStorybookUtils.SUPPORTED_VISUALGRID_BROWSERS}].`);
+      }
+    });
 }
 
 
@@ -253,20 +420,37 @@ if (!configs.storybookVersion) configs.storybookVersion = packageVersion.version
 let testRunner;
 return promiseFactory.resolve()
   .then(() => {
-    if (configs.useSelenium) {
-      try {
-        const { EyesSeleniumRunner } = require('../lib/EyesSeleniumRunner');
-        testRunner = new EyesSeleniumRunner(logger, promiseFactory, configs);
-      } catch (e) {
-        if (e.code === 'MODULE_NOT_FOUND') {
-          console.info(chalk.red('\nYou are trying to run Selenium (local) mode with missing dependencies.'));
-          console.info(chalk.green('\nTo fix:'));
-          console.info(chalk.green('npm install selenium-webdriver@^3.0.0 --save-dev'));
-          console.info(chalk.green('npm install chromedriver@^2.0.0 --save-dev'));
-          process.exit(1);
+    if (EyesStorybookUtils.isLocalMode(configs)) {
+      if (!isListStories && configs.runner === 'cdp') {
+        try {
+          const { EyesCdpRunner } = require('../lib/EyesCdpRunner');
+          testRunner = new EyesCdpRunner(logger, promiseFactory, configs);
+        } catch (e) {
+          if (e.code === 'MODULE_NOT_FOUND') {
+            console.info(chalk.red('\nYou are trying to run CDP mode with missing dependencies.'));
+            console.info(chalk.green('\nTo fix:'));
+            console.info(chalk.green('npm install chrome-remote-interface@^0.26.0 --save-dev'));
+            console.info(chalk.green('npm install chrome-launcher@^0.10.0 --save-dev'));
+            process.exit(1);
+          }
+
+          throw e;
         }
+      } else if (!isListStories) {
+        try {
+          const { EyesSeleniumRunner } = require('../lib/EyesSeleniumRunner');
+          testRunner = new EyesSeleniumRunner(logger, promiseFactory, configs);
+        } catch (e) {
+          if (e.code === 'MODULE_NOT_FOUND') {
+            console.info(chalk.red('\nYou are trying to run Selenium (local) mode with missing dependencies.'));
+            console.info(chalk.green('\nTo fix:'));
+            console.info(chalk.green('npm install selenium-webdriver@^3.0.0 --save-dev'));
+            console.info(chalk.green('npm install chromedriver@^2.0.0 --save-dev'));
+            process.exit(1);
+          }
 
-        throw e;
+          throw e;
+        }
       }
 
       const spinner = ora('Starting Storybook');
@@ -276,9 +460,11 @@ return promiseFactory.resolve()
         .catch(err => { spinner.stop(); throw err; });
     }
 
-    // eslint-disable-next-line max-len
-    const { EyesVisualGridRunner } = cliOptions.legacy ? require('../lib/EyesVisualGridLegacyRunner') : require('../lib/EyesVisualGridRunner');
-    testRunner = new EyesVisualGridRunner(logger, promiseFactory, configs);
+    if (!isListStories) {
+      // eslint-disable-next-line max-len
+      const { EyesVisualGridRunner } = cliOptions.legacy ? require('../lib/EyesVisualGridLegacyRunner') : require('../lib/EyesVisualGridRunner');
+      testRunner = new EyesVisualGridRunner(logger, promiseFactory, configs);
+    }
 
     const spinner = ora('Building Storybook');
     if (!configs.showLogs) spinner.start();
@@ -288,6 +474,22 @@ return promiseFactory.resolve()
   })
   .then(() => EyesStorybookUtils.getStories(logger, promiseFactory, configs))
   .then(stories => {
+    if (isListStories) {
+      const manifest = JSON.stringify(EyesStorybookUtils.createStoriesManifest(configs, stories), null, 2);
+      if (cliOptions.listStories) {
+        EyesStorybookUtils.writeFile(path.resolve(process.cwd(), cliOptions.listStories), `${manifest}\n`);
+        console.log(`List of ${stories.length} tests was written to "${cliOptions.listStories}".`);
+      } else {
+        console.log(manifest);
+      }
+      process.exit(0);
+    }
+
+    if (stories.length === 0) {
+      console.log('No stories to test.');
+      process.exit(0);
+    }
+
     const spinner = ora('Processing stories');
     if (!configs.showLogs) spinner.start();
     return testRunner.testStories(stories, spinner)
@@ -296,9 +498,10 @@ return promiseFactory.resolve()
   })
   .then(/** TestResults[] */ results => {
     const resultsFormatter = new TestResultsFormatter();
+    const storyErrors = testRunner.getStoryErrors ? testRunner.getStoryErrors() : [];
 
     let exitCode = 0;
-    if (results.length > 0) {
+    if (results.length > 0 || storyErrors.length > 0) {
       console.log('\n[EYES: TEST RESULTS]:');
       results.forEach(result => {
         resultsFormatter.addResults(result);
@@ -318,13 +521,51 @@ return promiseFactory.resolve()
           }
         }
       });
-      console.log('See details at', results[0].getAppUrls().getBatch());
+
+      storyErrors.forEach(({ story, message }) => {
+        console.log(`${story.toString()} - `, chalk.red(`Error: ${message}`));
+      });
+
+      const resourceWarnings = testRunner.getResourceWarnings ? testRunner.getResourceWarnings() : [];
+      resourceWarnings.forEach(({ message, items }) => {
+        const list = items.slice(0, MAX_LISTED_RESOURCES).map(item => `  ${item}`);
+        if (items.length > MAX_LISTED_RESOURCES) {
+          list.push(`  ...and ${items.length - MAX_LISTED_RESOURCES} more`);
+        }
+        console.log(`\n${message}:`);
+        console.log(chalk.yellow(list.join('\n')));
+      });
+
+      const retriedStories = testRunner.getRetriedStories ? testRunner.getRetriedStories() : [];
+      if (retriedStories.length > 0) {
+        console.log('\nStories which needed retries:');
+        retriedStories.forEach(({ story, retries, message }) => {
+          const retriesText = `Retried ${retries} time${retries > 1 ? 's' : ''}`;
+          console.log(`${story.toString()} - `, chalk.yellow(`${retriesText}, last error: ${message}`));
+        });
+      }
+
+      if (results.length > 0) {
+        console.log('See details at', results[0].getAppUrls().getBatch());
+      }
     } else {
       console.log('Test is finished but no results returned.');
     }
 
     if (configs.tapFilePath) {
-      EyesStorybookUtils.writeFile(path.resolve(process.cwd(), configs.tapFilePath), resultsFormatter.asHierarchicTAPString(false, true));
+      const tapFilePath = EyesStorybookUtils.getShardFilePath(configs, configs.tapFilePath);
+      const tapString = addStoryErrorsToTap(
+        resultsFormatter.asHierarchicTAPString(false, true),
+        results.length,
+        storyErrors,
+        configs.appName
+      );
+      EyesStorybookUtils.writeFile(path.resolve(process.cwd(), tapFilePath), tapString);
+    }
+
+    if (storyErrors.length > 0) {
+      console.log(chalk.red(`\n${storyErrors.length} stories were not tested.`));
+      process.exit(STORY_ERRORS_EXIT_CODE);
     }
 
     process.exit(cliOptions.exitcode ? exitCode : 0);
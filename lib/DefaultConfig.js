@@ -13,17 +13,55 @@ module.exports = {
     { width: 800, height: 600 },
   ],
   maxConcurrency: 0,
+  runner: undefined,
   tapFilePath: undefined,
+  include: undefined,
+  exclude: undefined,
+  matchLevel: undefined,
+  ignoreRegions: undefined,
+  floatingRegions: undefined,
+  batchId: process.env.APPLITOOLS_BATCH_ID,
+  shard: undefined,
+  changedSince: undefined,
+  storyUrl: undefined,
+  storyUrlParams: undefined,
+  captureSelector: undefined,
+  stabilize: false,
 
   // Storybook
   storybookApp: undefined,
   storybookVersion: undefined,
   storybookConfigDir: process.env.SBCONFIG_CONFIG_DIR || './.storybook',
   storybookStaticDir: process.env.SBCONFIG_STATIC_DIR,
+  jsdomMocks: undefined,
+  jsdomSetup: undefined,
 
   // VisualGrid mode, default mode
   skipStorybookBuild: true,
   storybookOutputDir: process.env.SBCONFIG_OUTPUT_DIR || './storybook-static',
+  browsers: undefined,
+  emulation: undefined,
+  useDomSnapshots: false,
+  renderTimeout: 600000,
+  renderRetries: 2,
+  renderBatchSize: 50,
+  renderConcurrency: 100,
+  resources: {
+    include: undefined,
+    exclude: undefined,
+    maxFileSize: undefined,
+    onlyReferenced: false,
+  },
+  externalResources: {
+    enabled: false,
+    domains: undefined,
+    retries: 2,
+    offline: false,
+    localFiles: undefined,
+  },
+  resourceCache: true,
+  resourceCacheDir: 'node_modules/.cache/eyes-storybook',
+  resourceCacheTtl: 24 * 60 * 60 * 1000,
 
   // Selenium mode
   useSelenium: false,
@@ -31,6 +69,10 @@ module.exports = {
   storybookPort: process.env.SBCONFIG_PORT || 9001,
   storybookHost: process.env.SBCONFIG_HOSTNAME || 'localhost',
   seleniumUrl: undefined,
+  waitBeforeScreenshot: undefined,
+  waitFor: undefined,
+  storyTimingsFile: 'node_modules/.cache/eyes-storybook/story-timings.json',
+  storyRetries: 1,
   capabilities: {
     platform: 'any',
     browserName: 'chrome',
@@ -39,6 +81,10 @@ module.exports = {
     },
   },
 
+  // CDP mode, uses also Storybook server, waiting and retries options of Selenium mode
+  chromePath: undefined,
+  chromeFlags: ['--headless', '--disable-gpu', '--hide-scrollbars'],
+
   // Logs
   showLogs: false,
   showEyesSdkLogs: false,
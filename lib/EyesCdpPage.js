@@ -0,0 +1,170 @@
+'use strict';
+
+const CDP = require('chrome-remote-interface'); // eslint-disable-line import/no-extraneous-dependencies
+const { GeneralUtils, MutableImage } = require('@applitools/eyes.sdk.core');
+
+const PAGE_LOAD_TIMEOUT = 60000; // ms
+
+/**
+ * A page (tab) of Chrome, which is controlled directly through the DevTools protocol. It has `executeScript` and
+ * `sleep` methods like Selenium's driver, so utils of Selenium mode which only execute scripts can be used with it.
+ */
+class EyesCdpPage {
+  /**
+   * @param {number} port Debugging port of the browser
+   * @param {{id: string}} target
+   * @param {object} client Client of `chrome-remote-interface` connected to the target
+   * @param {PromiseFactory} promiseFactory
+   */
+  constructor(port, target, client, promiseFactory) {
+    /** @type {number} */
+    this._port = port;
+    /** @type {{id: string}} */
+    this._target = target;
+    this._client = client;
+    /** @type {PromiseFactory} */
+    this._promiseFactory = promiseFactory;
+
+    /** @type {boolean} */
+    this._isDisconnected = false;
+    this._client.on('disconnect', () => {
+      this._isDisconnected = true;
+    });
+  }
+
+  /**
+   * Opens a new page in the browser.
+   *
+   * @param {number} port Debugging port of the browser
+   * @param {PromiseFactory} promiseFactory
+   * @return {Promise<EyesCdpPage>}
+   */
+  static open(port, promiseFactory) {
+    return CDP.New({ port }).then(target => CDP({ port, target })
+      .then(client => {
+        const page = new EyesCdpPage(port, target, client, promiseFactory);
+        return client.Page.enable().then(() => page);
+      })
+      .catch(err => CDP.Close({ port, id: target.id }).catch(() => {}).then(() => {
+        throw err;
+      })));
+  }
+
+  /**
+   * The script is executed in every document opened in the page, before scripts of the document.
+   *
+   * @param {string} script
+   * @return {Promise<void>}
+   */
+  addInitScript(script) {
+    return this._client.Page.addScriptToEvaluateOnNewDocument({ source: script }).then(() => {});
+  }
+
+  /**
+   * Sets the viewport, scale factor and mobile flag of the page at once, the viewport is exactly of the given size.
+   *
+   * @param {RectangleSize} [viewportSize] The default size of the browser is used if it's not set
+   * @param {object} [emulation] Normalized emulation of the story
+   * @param {string} userAgent User agent of the browser, it's used if the emulation doesn't override it
+   * @return {Promise<void>}
+   */
+  emulate(viewportSize, emulation, userAgent) {
+    const { Emulation, Network } = this._client;
+    const mobile = Boolean(emulation && emulation.mobile);
+    return this._promiseFactory.all([
+      Emulation.setDeviceMetricsOverride({
+        width: viewportSize ? viewportSize.getWidth() : 0,
+        height: viewportSize ? viewportSize.getHeight() : 0,
+        deviceScaleFactor: emulation ? emulation.deviceScaleFactor : 1,
+        mobile,
+      }),
+      Emulation.setTouchEmulationEnabled({ enabled: mobile }),
+      Network.setUserAgentOverride({ userAgent: (emulation && emulation.userAgent) || userAgent }),
+    ]).then(() => {});
+  }
+
+  /**
+   * @param {string} url
+   * @return {Promise<void>} Resolved when the page is loaded
+   */
+  get(url) {
+    const loadPromise = this._promiseFactory.makePromise(resolve => {
+      const timer = setTimeout(() => resolve(false), PAGE_LOAD_TIMEOUT);
+      this._client.Page.loadEventFired().then(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+
+    return this._client.Page.navigate({ url })
+      .then(({ errorText }) => {
+        if (errorText) {
+          throw new Error(`Page ${url} can't be opened: ${errorText}.`);
+        }
+
+        return loadPromise;
+      })
+      .then(isLoaded => {
+        if (!isLoaded) {
+          throw new Error(`Page ${url} was not loaded in ${PAGE_LOAD_TIMEOUT} ms.`);
+        }
+      });
+  }
+
+  /**
+   * The script is executed as a body of a function, like in Selenium.
+   *
+   * @param {string} script
+   * @param {...*} args Arguments of the script, they should be serializable to JSON
+   * @return {Promise<*>} The value returned by the script
+   */
+  executeScript(script, ...args) {
+    const expression = `(function () {\n${script}\n}).apply(null, ${JSON.stringify(args)});`;
+    return this._client.Runtime.evaluate({ expression, returnByValue: true })
+      .then(({ result, exceptionDetails }) => {
+        if (exceptionDetails) {
+          const { exception } = exceptionDetails;
+          throw new Error(`Script failed: ${(exception && exception.description) || exceptionDetails.text}`);
+        }
+
+        return result.value;
+      });
+  }
+
+  /**
+   * @param {number} ms
+   * @return {Promise<void>}
+   */
+  sleep(ms) {
+    return GeneralUtils.sleep(ms, this._promiseFactory);
+  }
+
+  /**
+   * Captures the whole page at once, without scrolling and stitching.
+   *
+   * @return {Promise<MutableImage>} The image in device pixels, i.e. scaled by `deviceScaleFactor` of the emulation
+   */
+  getScreenshot() {
+    const { Page } = this._client;
+    return Page.getLayoutMetrics()
+      .then(({ contentSize, cssContentSize }) => {
+        const size = cssContentSize || contentSize;
+        return Page.captureScreenshot({
+          format: 'png',
+          clip: { x: 0, y: 0, width: Math.ceil(size.width), height: Math.ceil(size.height), scale: 1 },
+          captureBeyondViewport: true,
+        });
+      })
+      .then(({ data }) => MutableImage.fromBase64(data, this._promiseFactory));
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  close() {
+    const closeClient = this._isDisconnected ? this._promiseFactory.resolve() : this._client.close();
+    return closeClient.then(() => CDP.Close({ port: this._port, id: this._target.id }));
+  }
+}
+
+exports.EyesCdpPage = EyesCdpPage;
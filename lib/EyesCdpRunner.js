@@ -0,0 +1,179 @@
+'use strict';
+
+const chromeLauncher = require('chrome-launcher'); // eslint-disable-line import/no-extraneous-dependencies
+const CDP = require('chrome-remote-interface'); // eslint-disable-line import/no-extraneous-dependencies
+
+const { EyesLocalRunner } = require('./EyesLocalRunner');
+const { EyesCdpPage } = require('./EyesCdpPage');
+const { EyesReadyUtils } = require('./EyesReadyUtils');
+const { EyesStabilizeUtils } = require('./EyesStabilizeUtils');
+
+/**
+ * Tests stories in a locally installed Chrome, which is controlled directly through the DevTools protocol (CDP). A
+ * single browser is launched, every thread uses its own page of it as the driver.
+ */
+class EyesCdpRunner extends EyesLocalRunner {
+  constructor(logger, promiseFactory, configs) {
+    super(logger, promiseFactory, configs, 'page');
+
+    /** @type {string} */
+    this._userAgent = undefined;
+    /** @type {{time: number, seed: number}} */
+    this._stabilizeOptions = EyesStabilizeUtils.getOptions(configs);
+    /** @type {boolean} */
+    this._tracksNetwork = false;
+    /** @type {{pid: number, port: number, kill: function}} */
+    this._chrome = undefined;
+  }
+
+  /**
+   * Stories are tested in the same way as in Selenium mode, in pages of the browser, which is launched before the tests
+   * and is closed after them, also when they fail. A page which is crashed or not responding is replaced by a new one.
+   *
+   * @override
+   * @param {EyesStorybookStory[]} stories
+   * @param {Ora} spinner
+   * @returns {Promise<TestResults[]>}
+   */
+  testStories(stories, spinner) {
+    this._tracksNetwork = EyesReadyUtils.isNetworkIdleUsed(stories, this._configs);
+
+    return this.launchChrome()
+      .then(() => super.testStories(stories, spinner))
+      .then(results => this.closeChrome().then(() => results), err => this.closeChrome().then(() => {
+        throw err;
+      }));
+  }
+
+  /**
+   * Launches the browser and retrieves its userAgent.
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  launchChrome() {
+    const that = this;
+    this._logger.log('Launching Chrome...');
+    return chromeLauncher.launch({ chromePath: this._configs.chromePath, chromeFlags: this._configs.chromeFlags })
+      .catch(err => {
+        throw new Error(`Chrome can't be launched: ${err.message || err}. ` +
+          'Install Chrome, or set path to its executable in chromePath config property.');
+      })
+      .then(chrome => {
+        that._chrome = chrome;
+        return CDP.Version({ port: chrome.port });
+      })
+      .then(version => {
+        that._userAgent = version['User-Agent'];
+        that._logger.log(`Chrome was launched on port ${that._chrome.port}, userAgent ${that._userAgent}.`);
+      });
+  }
+
+  /**
+   * Kills the browser, if it's launched.
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  closeChrome() {
+    const chrome = this._chrome;
+    if (!chrome) {
+      return this._promiseFactory.resolve();
+    }
+
+    this._logger.verbose('Closing the browser...');
+    this._chrome = undefined;
+    return this._promiseFactory.resolve(chrome.kill()).catch(err => {
+      this._logger.log(`Chrome can't be closed: ${err.message || err}`);
+    });
+  }
+
+  /**
+   * Opens a new page of the browser for the worker.
+   *
+   * @override
+   * @param {{driver: EyesCdpPage}} worker
+   * @param {number} i Thread number
+   * @return {Promise<void>}
+   */
+  startWorker(worker, i) {
+    const that = this;
+    this._logger.verbose(`[${i}] Opening a new page...`);
+    return EyesCdpPage.open(this._chrome.port, this._promiseFactory)
+      .then(page => {
+        worker.driver = page; // eslint-disable-line no-param-reassign
+        if (that._tracksNetwork) {
+          // requests which are started by scripts of the story are tracked from the beginning
+          return page.addInitScript(EyesReadyUtils.getNetworkTrackerScript());
+        }
+      })
+      .then(() => {
+        if (that._stabilizeOptions) {
+          // the script is executed before scripts of the story, so they see the frozen clock from the beginning
+          return worker.driver.addInitScript(EyesStabilizeUtils.getScript(that._stabilizeOptions));
+        }
+      })
+      .then(() => {
+        that._logger.verbose(`[${i}] Page was opened.`);
+      });
+  }
+
+  /** @override */
+  closeDriver(page) {
+    return page.close();
+  }
+
+  /**
+   * Sets the viewport size and the emulation of the story, and opens the story.
+   *
+   * @override
+   * @param {{driver: EyesCdpPage}} worker
+   * @param {EyesStorybookStory} story
+   * @param {number} i Thread number
+   * @return {Promise<void>}
+   */
+  openStory(worker, story, i) {
+    const that = this;
+    const page = worker.driver;
+    return this._promiseFactory.resolve()
+      .then(() => {
+        that._logger.verbose(`[${i}] Setting viewport size and device metrics of the page...`);
+        return page.emulate(story.getViewportSize(), story.getEmulation(), that._userAgent);
+      })
+      .then(() => {
+        const navigateTo = story.getStoryUrl(that._configs.storybookUrl, that._configs);
+        that._logger.verbose(`[${i}] Navigation page to ${navigateTo}...`);
+        return page.get(navigateTo);
+      })
+      .then(() => {
+        that._logger.verbose(`[${i}] Page was loaded.`);
+      });
+  }
+
+  /**
+   * @override
+   * @param {{driver: EyesCdpPage}} worker
+   * @return {Promise<MutableImage>}
+   */
+  getScreenshot(worker) {
+    return worker.driver.getScreenshot();
+  }
+
+  /** @override */
+  getInferredEnvironment(story) {
+    const emulation = story.getEmulation();
+    return `useragent:${(emulation && emulation.userAgent) || this._userAgent}`;
+  }
+
+  /**
+   * The screenshot is in device pixels of the emulated device.
+   *
+   * @override
+   */
+  getScaleRatio(story) {
+    const emulation = story.getEmulation();
+    return emulation ? emulation.deviceScaleFactor : 1;
+  }
+}
+
+exports.EyesCdpRunner = EyesCdpRunner;
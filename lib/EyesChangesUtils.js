@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// changes in these files can affect any module, e.g. updated dependencies
+const GLOBAL_FILES = ['package.json', 'package-lock.json', 'yarn.lock', '.babelrc'];
+const SOURCE_FILE_REGEXP = /\.(jsx?|mjs|tsx?|vue)$/;
+
+/**
+ * @param {string[]} args
+ * @return {string}
+ */
+const git = args => execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+/**
+ * Converts module name from webpack stats to absolute path of the file, e.g. `./node_modules/babel-loader/lib!./a.js`
+ * or `./a.js + 3 modules` to `<context>/a.js`.
+ *
+ * @param {string} context
+ * @param {string} name
+ * @return {string} Path or null, if the module is not a file (e.g. `multi ./a ./b` or `(webpack)/buildin/module.js`)
+ */
+const getModuleFilePath = (context, name) => {
+  const request = String(name).split('!').pop()
+    .replace(/ \+ \d+ modules?$/, '')
+    .split('?')[0];
+  return request.startsWith('.') ? path.resolve(context, request) : null;
+};
+
+/**
+ * @param {string} text
+ * @param {string} value
+ * @return {boolean}
+ */
+const containsStringLiteral = (text, value) =>
+  ['\'', '"', '`'].some(quote => text.includes(`${quote}${value}${quote}`));
+
+/**
+ * @param {{context: string, modules: object[]}} stats
+ * @return {Map<string, string[]>} Map of file path to ids of modules which contain it
+ */
+const getModuleIdsByFile = stats => {
+  const moduleIdsByFile = new Map();
+  stats.modules.forEach(module => {
+    [module.name].concat(module.modules || []).forEach(name => {
+      const filePath = getModuleFilePath(stats.context, name);
+      if (filePath) {
+        moduleIdsByFile.set(filePath, (moduleIdsByFile.get(filePath) || []).concat(String(module.id)));
+      }
+    });
+  });
+  return moduleIdsByFile;
+};
+
+/**
+ * Finds modules which declare stories of the kind. Storybook knows the file of the kind only in some versions,
+ * otherwise source files which contain name of the kind as a string literal are used.
+ *
+ * @param {{context: string, modules: object[]}} stats
+ * @param {Map<string, string[]>} moduleIdsByFile
+ * @param {{kind: string, fileName: string}} group
+ * @param {Map<string, string>} sources Cache of file contents
+ * @return {string[]}
+ */
+const getKindModuleIds = (stats, moduleIdsByFile, group, sources) => {
+  if (group.fileName !== undefined && group.fileName !== null) {
+    const fileName = String(group.fileName);
+    const moduleIds = stats.modules.map(module => String(module.id)).filter(id => id === fileName);
+    const filePath = getModuleFilePath(stats.context, fileName);
+    if (moduleIds.length || (filePath && moduleIdsByFile.has(filePath))) {
+      return moduleIds.concat(moduleIdsByFile.get(filePath) || []);
+    }
+  }
+
+  const moduleIds = [];
+  moduleIdsByFile.forEach((ids, filePath) => {
+    if (filePath.includes(`${path.sep}node_modules${path.sep}`) || !SOURCE_FILE_REGEXP.test(filePath)) {
+      return;
+    }
+
+    if (!sources.has(filePath)) {
+      sources.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '');
+    }
+
+    if (containsStringLiteral(sources.get(filePath), group.kind)) {
+      moduleIds.push(...ids);
+    }
+  });
+  return moduleIds;
+};
+
+class EyesChangesUtils {
+  /**
+   * @param {Logger} logger
+   * @param {string} gitRef
+   * @return {string[]} Absolute paths of files changed since the git ref (including uncommitted changes), or null
+   */
+  static getChangedFiles(logger, gitRef) {
+    try {
+      const rootDir = git(['rev-parse', '--show-toplevel']).trim();
+      return git(['diff', '--name-only', gitRef, '--'])
+        .split('\n')
+        .filter(Boolean)
+        .map(fileName => path.resolve(rootDir, fileName));
+    } catch (e) {
+      logger.log(`Can't get changed files since ${gitRef}.`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Logger} logger
+   * @param {string} statsFilePath
+   * @param {string} [buildFilePath] A file of the same build, stats older than the file are ignored
+   * @return {{context: string, modules: object[]}} Stats or null if they don't exist
+   */
+  static readWebpackStats(logger, statsFilePath, buildFilePath) {
+    if (!fs.existsSync(statsFilePath)) {
+      logger.log(`Webpack stats not found in ${statsFilePath}.`);
+      return null;
+    }
+
+    if (buildFilePath && fs.existsSync(buildFilePath) &&
+      fs.statSync(statsFilePath).mtime < fs.statSync(buildFilePath).mtime) {
+      logger.log(`Webpack stats in ${statsFilePath} are older than the build.`);
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
+    } catch (e) {
+      logger.log(`Can't read webpack stats from ${statsFilePath}.`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Finds kinds of stories which depend on changed files. Changes are mapped to webpack modules, then to all modules
+   * which import them, directly or not, and then to the modules which declare stories.
+   *
+   * @param {Logger} logger
+   * @param {object} configs
+   * @param {{context: string, modules: object[]}} stats
+   * @param {string[]} changedFiles
+   * @param {{kind: string, fileName: string}[]} groups
+   * @return {Set<string>} Affected kinds, or null if all stories should be tested
+   */
+  static getAffectedKinds(logger, configs, stats, changedFiles, groups) {
+    const globalFile = changedFiles.find(filePath => GLOBAL_FILES.includes(path.basename(filePath)));
+    if (globalFile) {
+      logger.log(`${globalFile} was changed, it can affect all stories.`);
+      return null;
+    }
+
+    const moduleIdsByFile = getModuleIdsByFile(stats);
+    const importersById = new Map();
+    stats.modules.forEach(module => {
+      importersById.set(String(module.id), (module.reasons || []).filter(id => id !== null).map(String));
+    });
+
+    const sources = new Map();
+    const kindModuleIds = new Map();
+    for (let i = 0, l = groups.length; i < l; i += 1) {
+      const moduleIds = getKindModuleIds(stats, moduleIdsByFile, groups[i], sources);
+      if (!moduleIds.length) {
+        logger.log(`Modules of stories "${groups[i].kind}" not found.`);
+        return null;
+      }
+      kindModuleIds.set(groups[i].kind, moduleIds);
+    }
+
+    // walk from changed modules to the modules which import them, story modules are imported by Storybook's config,
+    // so the walk stops on them, and the config is reached only by changes outside of stories (e.g. decorators)
+    const storyModuleIds = new Set([].concat(...Array.from(kindModuleIds.values())));
+    const affectedIds = new Set();
+    const queue = [];
+    changedFiles.forEach(filePath => queue.push(...(moduleIdsByFile.get(filePath) || [])));
+    while (queue.length) {
+      const id = queue.shift();
+      if (!affectedIds.has(id)) {
+        affectedIds.add(id);
+        if (!storyModuleIds.has(id)) {
+          queue.push(...(importersById.get(id) || []));
+        }
+      }
+    }
+
+    const configDir = `${path.resolve(process.cwd(), configs.storybookConfigDir)}${path.sep}`;
+    const isConfigAffected = changedFiles.some(filePath => filePath.startsWith(configDir)) ||
+      Array.from(moduleIdsByFile.keys()).some(filePath => filePath.startsWith(configDir) &&
+        moduleIdsByFile.get(filePath).some(id => affectedIds.has(id)));
+    if (isConfigAffected) {
+      logger.log('Storybook\'s configuration was affected by changes, it can affect all stories.');
+      return null;
+    }
+
+    const affectedKinds = new Set();
+    kindModuleIds.forEach((moduleIds, kind) => {
+      if (moduleIds.some(id => affectedIds.has(id))) {
+        affectedKinds.add(kind);
+      }
+    });
+
+    return affectedKinds;
+  }
+}
+
+exports.EyesChangesUtils = EyesChangesUtils;
@@ -0,0 +1,181 @@
+'use strict';
+
+const { GeneralUtils } = require('@applitools/eyes.sdk.core');
+
+const { EyesStorybookUtils } = require('./EyesStorybookUtils');
+const { EyesScriptErrorUtils } = require('./EyesScriptErrorUtils');
+const { EyesStabilizeUtils } = require('./EyesStabilizeUtils');
+
+// Storybook renders stories only in browsers, it skips rendering when user agent is JSDom's one
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+  'Chrome/67.0.3396.99 Safari/537.36';
+const PREVIEW_URL = 'http://localhost/iframe.html';
+const CHANNEL_KEY = 'storybook-channel';
+const RENDER_TIMEOUT = 10000; // ms
+// events of Storybook's preview which mean that the story is rendered (or it's unchanged) or it can't be rendered
+const RENDERED_EVENTS = ['storyRendered', 'storyUnchanged'];
+const FAILED_EVENTS = ['storyErrored', 'storyThrewException', 'storyMissing'];
+
+/**
+ * Selects the story the same way as Storybook's manager does, by an event sent to the preview's channel.
+ *
+ * @param {Window} window
+ * @param {EyesStorybookStory} story
+ */
+const selectStory = (window, story) => {
+  const selection = story.getStoryId() ?
+    { storyId: story.getStoryId() } : { kind: story.getComponentName(), story: story.getState() };
+  const event = { type: 'setCurrentStory', args: [selection], from: 'eyes-storybook' };
+  window.postMessage(JSON.stringify({ key: CHANNEL_KEY, event }), '*');
+};
+
+/**
+ * Waits until Storybook's preview reports that the selected story is rendered. Storybook 3 doesn't report it, but it
+ * renders the story synchronously when it receives the selection, so the story is rendered as soon as the selection
+ * reaches the listener, which is added after Storybook's one.
+ *
+ * @param {Window} window
+ * @param {PromiseFactory} promiseFactory
+ * @param {object} configs
+ * @param {EyesStorybookStory} story
+ * @return {Promise<string>} Resolved with `null` when the story is rendered, or with the reason why it's not rendered
+ */
+const selectStoryAndWait = (window, promiseFactory, configs, story) => promiseFactory.makePromise(resolve => {
+  const hasRenderedEvents = configs.storybookVersion >= 4;
+  let timer;
+  let onMessage;
+  const finish = reason => {
+    clearTimeout(timer);
+    window.removeEventListener('message', onMessage);
+    resolve(reason);
+  };
+
+  onMessage = messageEvent => {
+    let message;
+    try {
+      message = JSON.parse(messageEvent.data);
+    } catch (e) {
+      return;
+    }
+
+    const event = message && message.key === CHANNEL_KEY && message.event;
+    if (!event) {
+      return;
+    }
+
+    // Storybook 5 reports the id of the story, events of other stories are ignored
+    const storyId = event.args && typeof event.args[0] === 'string' ? event.args[0] : undefined;
+    if (storyId && story.getStoryId() && storyId !== story.getStoryId()) {
+      return;
+    }
+
+    if (FAILED_EVENTS.includes(event.type)) {
+      finish(`Storybook reported ${event.type} event`);
+    } else if (hasRenderedEvents ? RENDERED_EVENTS.includes(event.type) :
+      event.type === 'setCurrentStory' && event.from === 'eyes-storybook') {
+      finish(null);
+    }
+  };
+
+  window.addEventListener('message', onMessage);
+  timer = setTimeout(() => finish(`the story is not rendered in ${RENDER_TIMEOUT} ms`), RENDER_TIMEOUT);
+  selectStory(window, story);
+});
+
+/**
+ * Copies the document without scripts, so the snapshot is rendered as it is. Styles which were inserted by CSS-in-JS
+ * libraries using CSSOM are not in text of style elements, so the text is replaced by the rules of the stylesheet.
+ *
+ * @param {Document} document
+ * @return {Element}
+ */
+const cloneDocumentElement = document => {
+  const documentElement = document.documentElement.cloneNode(true);
+  Array.from(documentElement.querySelectorAll('script')).forEach(script => script.parentNode.removeChild(script));
+
+  const clonedStyles = documentElement.querySelectorAll('style');
+  Array.from(document.querySelectorAll('style')).forEach((style, i) => {
+    if (style.sheet && style.sheet.cssRules && style.sheet.cssRules.length) {
+      clonedStyles[i].textContent = Array.from(style.sheet.cssRules).map(rule => rule.cssText).join('\n');
+    }
+  });
+  return documentElement;
+};
+
+class EyesDomSnapshotUtils {
+  /**
+   * Renders every story in Storybook's preview loaded in JSDom and serializes the resulting DOM, so VisualGrid doesn't
+   * need to execute Storybook's scripts. Stories are rendered one by one in the same window, the DOM of a story is
+   * taken when Storybook reports that the story is rendered, and after `waitBeforeScreenshot` (a story parameter or
+   * config property). Stories which are not rendered don't have snapshots.
+   *
+   * @param {Logger} logger
+   * @param {PromiseFactory} promiseFactory
+   * @param {object} configs
+   * @param {string} iframeHtml Content of `iframe.html` of the build
+   * @param {EyesStorybookStory[]} stories
+   * @param {Map<string, string>} errors Reasons why stories are not rendered are added to it by compound title
+   * @return {Promise<Map<string, object[]>>} DOM nodes in CDT format by compound title of the story
+   */
+  static createSnapshots(logger, promiseFactory, configs, iframeHtml, stories, errors) {
+    let bundles;
+    let scriptErrors;
+    let window;
+    const snapshots = new Map();
+
+    return EyesStorybookUtils.getBundleFiles(logger, promiseFactory, configs)
+      .then(bundleFiles => EyesStorybookUtils.readBundles(promiseFactory, configs, bundleFiles))
+      .then(result => {
+        bundles = result;
+        // the script of `stabilize` isn't loaded by JSDom from `iframe.html`, and scripts are removed from snapshots,
+        // so it's executed before the bundles and its style stays in snapshots
+        const stabilizeOptions = EyesStabilizeUtils.getOptions(configs);
+        return EyesStorybookUtils.createJsdomWindow(promiseFactory, configs, bundles, {
+          html: iframeHtml,
+          url: PREVIEW_URL,
+          userAgent: BROWSER_USER_AGENT,
+          scripts: stabilizeOptions ? [EyesStabilizeUtils.getScript(stabilizeOptions)] : [],
+        });
+      })
+      .then(result => {
+        ({ window, scriptErrors } = result);
+        logger.log('Storybook\'s preview was loaded for DOM snapshots.');
+
+        return stories.reduce((promise, story) => promise.then(() => {
+          const title = story.getCompoundTitle();
+          if (snapshots.has(title) || errors.has(title)) {
+            return null;
+          }
+
+          const errorsCount = scriptErrors.length;
+          let notRenderedReason;
+          return selectStoryAndWait(window, promiseFactory, configs, story).then(reason => {
+            notRenderedReason = reason;
+            const waitBeforeSnapshot = story.getParameter('waitBeforeScreenshot', configs.waitBeforeScreenshot);
+            return !reason && waitBeforeSnapshot ? GeneralUtils.sleep(waitBeforeSnapshot, promiseFactory) : null;
+          }).then(() => {
+            if (scriptErrors.length > errorsCount) {
+              const formattedErrors = EyesScriptErrorUtils
+                .formatErrors(configs, bundles, scriptErrors.slice(errorsCount));
+              logger.log(`Errors during rendering of ${title} in JSDom:\n${formattedErrors}`);
+            }
+
+            if (notRenderedReason) {
+              logger.log(`DOM snapshot of ${title} is not created, ${notRenderedReason}.`);
+              errors.set(title, notRenderedReason);
+              return;
+            }
+
+            snapshots.set(title, EyesStorybookUtils.domNodesToCdt([cloneDocumentElement(window.document)]));
+            logger.verbose(`DOM snapshot of ${title} was created.`);
+          });
+        }), promiseFactory.resolve());
+      })
+      .then(() => {
+        window.close();
+        return snapshots;
+      });
+  }
+}
+
+exports.EyesDomSnapshotUtils = EyesDomSnapshotUtils;
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * @param {string} device
+ * @param {string} version
+ * @return {string}
+ */
+const iosUserAgent = (device, version) => `Mozilla/5.0 (${device}; CPU ${device === 'iPad' ? 'OS' : 'iPhone OS'} ` +
+  `${version.replace('.', '_')} like Mac OS X) AppleWebKit/604.1.38 (KHTML, like Gecko) Version/${version} ` +
+  'Mobile/15A372 Safari/604.1';
+
+/**
+ * @param {string} device
+ * @param {boolean} mobile
+ * @return {string}
+ */
+const androidUserAgent = (device, mobile) => `Mozilla/5.0 (Linux; ${device}) AppleWebKit/537.36 (KHTML, like Gecko) ` +
+  `Chrome/67.0.3396.99 ${mobile ? 'Mobile ' : ''}Safari/537.36`;
+
+/**
+ * @param {string} os
+ * @param {number} width
+ * @param {number} height
+ * @param {number} deviceScaleFactor
+ * @param {string} userAgent
+ * @return {object}
+ */
+const createDevice = (os, width, height, deviceScaleFactor, userAgent) =>
+  ({ width, height, deviceScaleFactor, mobile: true, userAgent, os });
+
+const IPHONE_USER_AGENT = iosUserAgent('iPhone', '11.0');
+const IPAD_USER_AGENT = iosUserAgent('iPad', '11.0');
+
+// the same presets as in Chrome's DevTools, sizes are in portrait orientation
+const DEVICES = {
+  'iPhone SE': createDevice('iOS', 320, 568, 2, iosUserAgent('iPhone', '10.3')),
+  'iPhone 8': createDevice('iOS', 375, 667, 2, IPHONE_USER_AGENT),
+  'iPhone 8 Plus': createDevice('iOS', 414, 736, 3, IPHONE_USER_AGENT),
+  'iPhone X': createDevice('iOS', 375, 812, 3, IPHONE_USER_AGENT),
+  iPad: createDevice('iOS', 768, 1024, 2, IPAD_USER_AGENT),
+  'iPad Pro': createDevice('iOS', 1024, 1366, 2, IPAD_USER_AGENT),
+  'Galaxy S5': createDevice('Android', 360, 640, 3, androidUserAgent('Android 5.0; SM-G900P Build/LRX21T', true)),
+  'Pixel 2':
+    createDevice('Android', 411, 731, 2.625, androidUserAgent('Android 8.0; Pixel 2 Build/OPD3.170816.012', true)),
+  'Pixel 2 XL':
+    createDevice('Android', 411, 823, 3.5, androidUserAgent('Android 8.0.0; Pixel 2 XL Build/OPD1.170816.004', true)),
+  'Nexus 7': createDevice('Android', 600, 960, 2, androidUserAgent('Android 6.0.1; Nexus 7 Build/MOB30X', false)),
+};
+
+/**
+ * @param {object|string} emulation Device preset (`{deviceName, screenOrientation}` or just the name of the device) or
+ *   custom emulation (`{deviceScaleFactor, mobile, userAgent, width, height, name}`)
+ * @return {object} Emulation with all parameters of the device and its `name`, which distinguishes the tests
+ */
+const normalizeEmulation = emulation => {
+  const options = typeof emulation === 'string' ? { deviceName: emulation } : emulation;
+
+  if (options.deviceName) {
+    const device = DEVICES[options.deviceName];
+    if (!device) {
+      throw new Error(`Unknown device "${options.deviceName}" in emulation, ` +
+        `possible values [${Object.keys(DEVICES).join(', ')}], or set its parameters instead of deviceName.`);
+    }
+
+    const isLandscape = options.screenOrientation === 'landscape';
+    return {
+      name: isLandscape ? `${options.deviceName} landscape` : options.deviceName,
+      width: isLandscape ? device.height : device.width,
+      height: isLandscape ? device.width : device.height,
+      deviceScaleFactor: device.deviceScaleFactor,
+      mobile: device.mobile,
+      userAgent: options.userAgent || device.userAgent,
+      os: device.os,
+    };
+  }
+
+  const deviceScaleFactor = options.deviceScaleFactor || 1;
+  if ((options.width || options.height) && !(options.width && options.height)) {
+    throw new Error('Emulation should contain both width and height properties, or none of them.');
+  }
+
+  // the default name contains all parameters, so different custom emulations don't get the same name
+  const defaultName = [
+    `${deviceScaleFactor}x`,
+    options.mobile ? 'mobile' : undefined,
+    options.width ? `${options.width}x${options.height}` : undefined,
+    options.userAgent,
+  ].filter(Boolean).join(' ');
+
+  return {
+    name: options.name || defaultName,
+    width: options.width,
+    height: options.height,
+    deviceScaleFactor,
+    mobile: Boolean(options.mobile),
+    userAgent: options.userAgent,
+    os: options.os,
+  };
+};
+
+class EyesEmulationUtils {
+  /**
+   * @param {object|object[]|string|string[]} emulation The value of `emulation` property of the configuration or of the
+   *   story, every item is a device preset or custom device
+   * @return {object[]} Normalized emulations, empty if stories are rendered without emulation
+   */
+  static getEmulations(emulation) {
+    const emulations = [].concat(emulation || []).map(normalizeEmulation);
+
+    const names = emulations.map(item => item.name);
+    const duplicateName = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicateName) {
+      throw new Error(`Emulation "${duplicateName}" is used more than once, emulations should be different ` +
+        'or have different `name` properties.');
+    }
+
+    return emulations;
+  }
+
+  /**
+   * @param {object} emulation Normalized emulation
+   * @return {object} Emulation info of VisualGrid's render request
+   */
+  static toEmulationInfo(emulation) {
+    const emulationInfo = {
+      deviceScaleFactor: emulation.deviceScaleFactor,
+      mobile: emulation.mobile,
+    };
+
+    if (emulation.width && emulation.height) {
+      emulationInfo.width = emulation.width;
+      emulationInfo.height = emulation.height;
+    }
+
+    if (emulation.userAgent) {
+      emulationInfo.userAgent = emulation.userAgent;
+    }
+
+    return emulationInfo;
+  }
+}
+
+exports.EyesEmulationUtils = EyesEmulationUtils;
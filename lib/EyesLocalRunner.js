@@ -0,0 +1,415 @@
+'use strict';
+
+const {
+  BatchInfo,
+  ConsoleLogHandler,
+  Logger,
+  GeneralUtils,
+  Region,
+} = require('@applitools/eyes.sdk.core');
+
+const { EyesStorybook } = require('./EyesStorybook');
+const { EyesSeleniumUtils } = require('./EyesSeleniumUtils');
+const { EyesRegionUtils } = require('./EyesRegionUtils');
+const { EyesStoryTimings } = require('./EyesStoryTimings');
+const { EyesReadyUtils } = require('./EyesReadyUtils');
+
+const DEFAULT_CONCURRENCY = 10;
+const SESSION_CHECK_TIMEOUT = 10000; // ms
+
+/**
+ * The base of runners which test stories in local browsers (Selenium and CDP modes). It takes stories from a shared
+ * queue, retries failed ones and checks the screenshots, the subclass controls the browser. Every worker has its own
+ * `driver`, which is Selenium's driver or any object with `executeScript(script, ...args)` and `sleep(ms)` methods.
+ */
+class EyesLocalRunner {
+  /**
+   * @param {Logger} logger
+   * @param {PromiseFactory} promiseFactory
+   * @param {object} configs
+   * @param {string} workerName What a worker is, it's used in logs, e.g. 'browser'
+   */
+  constructor(logger, promiseFactory, configs, workerName) {
+    /** @type {Logger} */
+    this._logger = logger;
+    /** @type {PromiseFactory} */
+    this._promiseFactory = promiseFactory;
+    /** @type {object} */
+    this._configs = configs;
+    /** @type {string} */
+    this._workerName = workerName;
+
+    this._testBatch = new BatchInfo(configs.appName, undefined, configs.batchId);
+    /** @type {EyesStoryTimings} */
+    this._storyTimings = undefined;
+
+    this._totalStories = undefined;
+    this._doneStories = undefined;
+    this._spinner = undefined;
+    /** @type {{story: EyesStorybookStory, message: string}[]} */
+    this._storyErrors = [];
+    /** @type {{story: EyesStorybookStory, retries: number, message: string}[]} */
+    this._retriedStories = [];
+
+    this._sdkLogger = new Logger();
+    if (this._configs.showEyesSdkLogs) {
+      this._sdkLogger.setLogHandler(new ConsoleLogHandler(this._configs.showEyesSdkLogs === 'verbose'));
+    }
+  }
+
+  /**
+   * @return {{story: EyesStorybookStory, message: string}[]} Stories which were not tested because of errors
+   */
+  getStoryErrors() {
+    return this._storyErrors;
+  }
+
+  /**
+   * @return {{story: EyesStorybookStory, retries: number, message: string}[]} Stories which were tested again after
+   *   errors, with the number of retries and the last error
+   */
+  getRetriedStories() {
+    return this._retriedStories;
+  }
+
+  /**
+   * Stories are taken from a shared queue by every worker as soon as it's idle. If `storyTimingsFile` is set, stories
+   * which took the longest time in the previous run are tested first. If a story fails because the worker is not
+   * responding, the worker is restarted and the story is tested again up to `storyRetries` times.
+   *
+   * @param {EyesStorybookStory[]} stories
+   * @param {Ora} spinner
+   * @returns {Promise<TestResults[]>}
+   */
+  testStories(stories, spinner) {
+    const elapsedTimeStart = GeneralUtils.currentTimeMillis();
+
+    this._totalStories = stories.length;
+    this._doneStories = 0;
+    this._spinner = spinner;
+
+    const maxThreads = this._configs.maxConcurrency;
+    const defaultConcurrency = DEFAULT_CONCURRENCY > this._totalStories ? this._totalStories : DEFAULT_CONCURRENCY;
+    const maxConcurrency = maxThreads > this._totalStories ? this._totalStories : maxThreads;
+    const threadsCount = maxThreads === 0 ? defaultConcurrency : maxConcurrency;
+
+    let queue = stories.slice();
+    if (this._configs.storyTimingsFile) {
+      this._storyTimings = new EyesStoryTimings(this._logger, this._configs);
+      this._storyTimings.load();
+      queue = this._storyTimings.sortByDuration(stories);
+    }
+
+    this._logger.log(`Testing ${this._totalStories} stories in ${threadsCount} ${this._workerName}s...`);
+
+    const that = this;
+    const storiesPromises = new Array(stories.length);
+    const storyIndexes = new Map(stories.map((story, index) => [story, index]));
+    const runThread = i => {
+      const worker = { driver: undefined, eyes: undefined, error: undefined };
+      const testNextStory = () => {
+        if (worker.error) {
+          throw worker.error;
+        }
+
+        if (!queue.length) {
+          that._logger.verbose(`[${i}] No more stories, closing the ${that._workerName}...`);
+          return that.closeDriver(worker.driver);
+        }
+
+        const story = queue.shift();
+        const promise = that.testStoryWithRetries(worker, story, i, 0);
+        storiesPromises[storyIndexes.get(story)] = promise;
+        return promise.then(testNextStory);
+      };
+
+      return that.startWorker(worker, i)
+        .then(testNextStory)
+        .catch(err => {
+          // stories which are left in the queue are taken by other workers
+          that._logger.log(`[${i}] The ${that._workerName} can't be started, it is not used anymore: ` +
+            `${err.message || err}`);
+        });
+    };
+
+    const threadsPromises = [];
+    for (let i = 0; i < threadsCount; i += 1) {
+      threadsPromises.push(runThread(i));
+    }
+
+    return that._promiseFactory.all(threadsPromises)
+      .then(() => {
+        queue.forEach(story => that.onStoryError(story, `no ${that._workerName} is available to test the story`));
+
+        const elapsedTime = GeneralUtils.currentTimeMillis() - elapsedTimeStart;
+        that._logger.log(`All stories were processed. Elapsed time ${GeneralUtils.elapsedString(elapsedTime)}`);
+        if (that._storyTimings) {
+          that._storyTimings.save();
+        }
+        return that._promiseFactory.all(storiesPromises.filter(Boolean));
+      })
+      .then(results => results.filter(Boolean));
+  }
+
+  /**
+   * Creates a new browser (or a page) for the worker and sets it as `driver` of the worker.
+   *
+   * @protected
+   * @param {{driver: *}} worker
+   * @param {number} i Thread number
+   * @return {Promise<void>}
+   */
+  startWorker(worker, i) { // eslint-disable-line no-unused-vars
+    throw new TypeError('startWorker method is not implemented!');
+  }
+
+  /**
+   * Closes the browser (or the page) of a worker.
+   *
+   * @protected
+   * @param {*} driver
+   * @return {Promise<void>}
+   */
+  closeDriver(driver) { // eslint-disable-line no-unused-vars
+    throw new TypeError('closeDriver method is not implemented!');
+  }
+
+  /**
+   * Opens the story in the worker's driver, with the viewport size (and the emulation) of the story.
+   *
+   * @protected
+   * @param {{driver: *}} worker
+   * @param {EyesStorybookStory} story
+   * @param {number} i Thread number
+   * @return {Promise<void>}
+   */
+  openStory(worker, story, i) { // eslint-disable-line no-unused-vars
+    throw new TypeError('openStory method is not implemented!');
+  }
+
+  /**
+   * @protected
+   * @param {{driver: *}} worker
+   * @return {Promise<MutableImage>} The screenshot of the page
+   */
+  getScreenshot(worker) { // eslint-disable-line no-unused-vars
+    throw new TypeError('getScreenshot method is not implemented!');
+  }
+
+  /**
+   * @protected
+   * @param {EyesStorybookStory} story
+   * @return {string} The inferred environment of the test, e.g. `useragent:...`
+   */
+  getInferredEnvironment(story) { // eslint-disable-line no-unused-vars
+    throw new TypeError('getInferredEnvironment method is not implemented!');
+  }
+
+  /**
+   * @protected
+   * @param {EyesStorybookStory} story
+   * @return {number} Ratio of the screenshot's pixels to CSS pixels, in which elements are found
+   */
+  getScaleRatio(story) { // eslint-disable-line no-unused-vars
+    return 1;
+  }
+
+  /**
+   * @private
+   * @param {{driver: *, eyes: EyesStorybook, error: Error}} worker
+   * @param {EyesStorybookStory} story
+   * @param {number} i Thread number
+   * @param {number} retries Number of previous attempts
+   * @param {string} [lastMessage] The error of the previous attempt
+   * @returns {Promise<TestResults>} The results, or `null` if the story failed. It's tested again only if it was
+   *   interrupted by the driver which is not responding, other errors (e.g. timeouts of `waitFor`) are reported at once
+   */
+  testStoryWithRetries(worker, story, i, retries, lastMessage) {
+    const that = this;
+    return this._promiseFactory.resolve()
+      .then(() => that.testStory(worker, story, i))
+      .then(testResults => {
+        if (retries) {
+          that._retriedStories.push({ story, retries, message: lastMessage });
+        }
+        return testResults;
+      }, err => {
+        const message = err.message || String(err);
+        that._logger.log(`[${i}] Story ${story.toString()} failed: ${message}`);
+        return that.abortTest(worker, i)
+          .then(() => EyesSeleniumUtils.isSessionAlive(worker.driver, that._promiseFactory, SESSION_CHECK_TIMEOUT))
+          .then(isAlive => {
+            if (isAlive) {
+              return false;
+            }
+
+            that._logger.log(`[${i}] The ${that._workerName} is not responding, starting a new one...`);
+            that.closeDriver(worker.driver).catch(() => {});
+            return that.startWorker(worker, i).then(() => true, startError => {
+              worker.error = startError; // eslint-disable-line no-param-reassign
+              return false;
+            });
+          })
+          .then(isRestarted => {
+            if (!isRestarted || retries >= that._configs.storyRetries) {
+              const retriesText = `after ${retries} retr${retries > 1 ? 'ies' : 'y'}`;
+              that.onStoryError(story, retries ? `${message} (${retriesText})` : message);
+              return null;
+            }
+
+            that._logger.log(`[${i}] Testing story ${story.toString()} again (retry ${retries + 1})...`);
+            return that.testStoryWithRetries(worker, story, i, retries + 1, message);
+          });
+      });
+  }
+
+  /**
+   * @private
+   * @param {{driver: *, eyes: EyesStorybook}} worker
+   * @param {EyesStorybookStory} story
+   * @param {number} i Thread number
+   * @returns {Promise<TestResults>}
+   */
+  testStory(worker, story, i) {
+    this._logger.log(`[${i}] Starting processing story ${story.toString()}...`);
+
+    const that = this;
+    const { driver } = worker;
+    const startTime = GeneralUtils.currentTimeMillis();
+    const matchSettings = EyesRegionUtils.getMatchSettings(story, that._configs);
+    // elements are found in CSS pixels, but the screenshot can be in device pixels
+    const scaleRatio = that.getScaleRatio(story);
+    let captureRegion;
+    const regionsBySelector = new Map();
+    return this._promiseFactory.resolve()
+      .then(() => that.openStory(worker, story, i))
+      .then(() => {
+        const readyConditions = EyesReadyUtils.getReadyConditions(story, that._configs);
+        return EyesReadyUtils.waitUntilReady(that._logger, driver, that._promiseFactory, readyConditions);
+      })
+      .then(() => {
+        const waitBeforeScreenshot = story.getParameter('waitBeforeScreenshot', that._configs.waitBeforeScreenshot);
+        if (waitBeforeScreenshot) {
+          that._logger.verbose(`[${i}] Waiting ${waitBeforeScreenshot}ms before capturing screenshot...`);
+          return driver.sleep(waitBeforeScreenshot);
+        }
+      })
+      .then(() => {
+        that._logger.verbose(`[${i}] Capturing screenshot...`);
+        return that.getScreenshot(worker);
+      })
+      .then(screenshot => {
+        const captureSelector = story.getParameter('captureSelector', that._configs.captureSelector);
+        if (!captureSelector) {
+          return screenshot;
+        }
+
+        return EyesSeleniumUtils.getElementRegion(driver, captureSelector).then(elementRegion => {
+          const region = elementRegion && elementRegion.scale(scaleRatio);
+          if (region) {
+            region.intersect(new Region(0, 0, screenshot.getWidth(), screenshot.getHeight()));
+          }
+
+          if (!region || region.isEmpty()) {
+            that._logger.log(`[${i}] Element ${captureSelector} is not found, the whole page is captured.`);
+            return screenshot;
+          }
+
+          that._logger.verbose(`[${i}] Cropping screenshot to element ${captureSelector} (${region})...`);
+          captureRegion = region;
+          return screenshot.crop(region);
+        });
+      })
+      .then(screenshot => {
+        that._logger.verbose(`[${i}] Screenshot was created.`);
+
+        const selectors = EyesRegionUtils.getSelectors(matchSettings);
+        if (!selectors.length) {
+          return screenshot;
+        }
+
+        that._logger.verbose(`[${i}] Finding regions of elements ${selectors.join(', ')}...`);
+        return EyesSeleniumUtils.getElementsRegions(driver, selectors).then(regions => {
+          regions.forEach((elementRegions, selector) => {
+            regionsBySelector.set(selector, elementRegions.map(region => region.scale(scaleRatio)));
+          });
+          return screenshot;
+        });
+      })
+      .then(screenshot => {
+        const eyes = new EyesStorybook(that._configs, that._promiseFactory);
+        worker.eyes = eyes; // eslint-disable-line no-param-reassign
+        eyes.setBatch(that._testBatch);
+        eyes.addProperty('Component name', story.getComponentName());
+        eyes.addProperty('State', story.getState());
+        eyes.setInferredEnvironment(that.getInferredEnvironment(story));
+        eyes.setLogHandler(that._sdkLogger.getLogHandler());
+
+        const resolvedMatchSettings = EyesRegionUtils.resolveRegions(
+          matchSettings,
+          regionsBySelector,
+          captureRegion && captureRegion.getLocation()
+        );
+
+        that._logger.verbose(`[${i}] Preforming screenshot validation...`);
+        return eyes.open(that._configs.appName, story.getCompoundTitle(), story.getViewportSize())
+          .then(() => eyes.checkImage(screenshot, story.getCompoundTitle(), resolvedMatchSettings))
+          .then(testResults => {
+            const duration = GeneralUtils.currentTimeMillis() - startTime;
+            if (that._storyTimings) {
+              that._storyTimings.set(story, duration);
+            }
+
+            that._logger.verbose(`[${i}] Screenshot was validated.`);
+            const elapsedTime = GeneralUtils.elapsedString(duration);
+            that._logger.log(`[${i}] Story ${story.toString()} was processed in ${elapsedTime}.`);
+            that.onStoryDone();
+            worker.eyes = undefined; // eslint-disable-line no-param-reassign
+            return testResults;
+          });
+      });
+  }
+
+  /**
+   * Aborts the test of the failed story, if its session is started, so a retry doesn't leave an unfinished test.
+   *
+   * @private
+   * @param {{eyes: EyesStorybook}} worker
+   * @param {number} i Thread number
+   * @return {Promise<void>}
+   */
+  abortTest(worker, i) {
+    const { eyes } = worker;
+    if (!eyes) {
+      return this._promiseFactory.resolve();
+    }
+
+    worker.eyes = undefined; // eslint-disable-line no-param-reassign
+    return eyes.abortIfNotClosed().then(() => {}, err => {
+      this._logger.log(`[${i}] Test can't be aborted: ${err.message || err}`);
+    });
+  }
+
+  /**
+   * @private
+   * @param {EyesStorybookStory} story
+   * @param {string} message
+   */
+  onStoryError(story, message) {
+    this._logger.log(`Story ${story.toString()} was not tested: ${message}`);
+    this._storyErrors.push({ story, message });
+    this.onStoryDone();
+  }
+
+  /**
+   * @private
+   */
+  onStoryDone() {
+    this._doneStories += 1;
+
+    // eslint-disable-next-line
+    this._spinner.text = `Done ${this._doneStories} stor${this._doneStories > 1 ? 'ies' : 'y'} out of ${this._totalStories}`;
+  }
+}
+
+exports.EyesLocalRunner = EyesLocalRunner;
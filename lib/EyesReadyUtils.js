@@ -0,0 +1,202 @@
+'use strict';
+
+const { GeneralUtils } = require('@applitools/eyes.sdk.core');
+
+const DEFAULT_TIMEOUT = 10000; // ms
+const POLLING_INTERVAL = 100; // ms
+const DEFAULT_NETWORK_IDLE_TIME = 500; // ms
+
+// counts fetch and XHR requests which are in progress, and all finished resources (including images, scripts and
+// styles) by PerformanceObserver, which doesn't depend on the size of the resource timing buffer
+const NETWORK_TRACKER_SCRIPT = '(function () {' +
+  'if (window.__eyesNetwork) return;' +
+  'var network = window.__eyesNetwork = { pending: 0, finished: 0 };' +
+  'var onStart = function () { network.pending += 1; };' +
+  'var onEnd = function () { network.pending -= 1; network.finished += 1; };' +
+  'var fetch = window.fetch;' +
+  'if (fetch) {' +
+  '  window.fetch = function () {' +
+  '    onStart();' +
+  '    return fetch.apply(this, arguments).then(function (response) { onEnd(); return response; },' +
+  '      function (error) { onEnd(); throw error; });' +
+  '  };' +
+  '}' +
+  'if (window.XMLHttpRequest) {' +
+  '  var send = XMLHttpRequest.prototype.send;' +
+  '  XMLHttpRequest.prototype.send = function () {' +
+  '    onStart();' +
+  '    this.addEventListener("loadend", onEnd);' +
+  '    return send.apply(this, arguments);' +
+  '  };' +
+  '}' +
+  'if (window.PerformanceObserver) {' +
+  '  try {' +
+  '    new PerformanceObserver(function (list) { network.finished += list.getEntries().length; })' +
+  '      .observe({ entryTypes: ["resource"] });' +
+  '  } catch (e) {}' +
+  '}' +
+  '})();';
+
+const SCRIPTS = {
+  selector: 'return !!document.querySelector(arguments[0]);',
+  hiddenSelector: 'var element = document.querySelector(arguments[0]);' +
+    'return !element || !(element.offsetWidth || element.offsetHeight || element.getClientRects().length);',
+  windowFlag: 'return !!window[arguments[0]];',
+  fonts: 'return !document.fonts || document.fonts.status === "loaded";',
+  images: 'return Array.prototype.every.call(document.images, function (image) { return image.complete; });',
+  network: `${NETWORK_TRACKER_SCRIPT}var network = window.__eyesNetwork;` +
+    'return [document.readyState, network.pending, network.finished];',
+};
+
+/**
+ * Calls the script until it returns `true` or the timeout is exceeded.
+ *
+ * @param driver
+ * @param {PromiseFactory} promiseFactory
+ * @param {string} script
+ * @param {*} arg The argument of the script
+ * @param {number} deadline
+ * @return {Promise<boolean>} Whether the condition is met in time
+ */
+const pollScript = (driver, promiseFactory, script, arg, deadline) => driver.executeScript(script, arg)
+  .then(result => {
+    if (result) {
+      return true;
+    }
+
+    if (GeneralUtils.currentTimeMillis() + POLLING_INTERVAL > deadline) {
+      return false;
+    }
+
+    return GeneralUtils.sleep(POLLING_INTERVAL, promiseFactory)
+      .then(() => pollScript(driver, promiseFactory, script, arg, deadline));
+  });
+
+/**
+ * Network is considered idle when the document is loaded, no fetch or XHR request is in progress and no resource was
+ * finished during `idleTime`. Requests are tracked since the tracker is added to the page, by the first poll or
+ * before the page's scripts (see `getNetworkTrackerScript`).
+ *
+ * @param driver
+ * @param {PromiseFactory} promiseFactory
+ * @param {number} idleTime
+ * @param {number} deadline
+ * @param {number} [lastCount] Number of finished resources
+ * @param {number} [lastChangeTime]
+ * @return {Promise<boolean>} Whether the network is idle in time
+ */
+const pollNetworkIdle = (driver, promiseFactory, idleTime, deadline, lastCount, lastChangeTime) =>
+  driver.executeScript(SCRIPTS.network)
+    .then(([readyState, pending, count]) => {
+      const now = GeneralUtils.currentTimeMillis();
+      const isIdle = count === lastCount && pending === 0 && readyState === 'complete';
+      const changeTime = isIdle ? lastChangeTime : now;
+      if (now - changeTime >= idleTime) {
+        return true;
+      }
+
+      if (now + POLLING_INTERVAL > deadline) {
+        return false;
+      }
+
+      return GeneralUtils.sleep(POLLING_INTERVAL, promiseFactory)
+        .then(() => pollNetworkIdle(driver, promiseFactory, idleTime, deadline, count, changeTime));
+    });
+
+class EyesReadyUtils {
+  /**
+   * @return {string} The script which tracks network requests for `networkIdle` condition, it can be executed before
+   *   scripts of the page, so requests which are started by them are tracked too
+   */
+  static getNetworkTrackerScript() {
+    return NETWORK_TRACKER_SCRIPT;
+  }
+
+  /**
+   * @param {EyesStorybookStory[]} stories
+   * @param {object} configs
+   * @return {boolean} Whether some of the stories wait for the network to be idle
+   */
+  static isNetworkIdleUsed(stories, configs) {
+    return stories.some(story => Boolean((story.getParameter('waitFor', configs.waitFor) || {}).networkIdle));
+  }
+
+  /**
+   * Reads `waitFor` from parameters of the story, or from the configuration if the story doesn't define it.
+   *
+   * @param {EyesStorybookStory} story
+   * @param {object} configs
+   * @return {{description: string, timeout: number, wait: function}[]} Conditions in the order they are checked,
+   *   `wait` receives the driver and the promise factory and resolves with `false` if the condition is not met in time
+   */
+  static getReadyConditions(story, configs) {
+    const options = story.getParameter('waitFor', configs.waitFor) || {};
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const conditions = [];
+    const addScriptCondition = (name, arg, description) => {
+      conditions.push({
+        description,
+        timeout,
+        wait: (driver, promiseFactory) =>
+          pollScript(driver, promiseFactory, SCRIPTS[name], arg, GeneralUtils.currentTimeMillis() + timeout),
+      });
+    };
+
+    if (options.selector) {
+      addScriptCondition('selector', options.selector, `element ${options.selector} to appear`);
+    }
+    if (options.hiddenSelector) {
+      addScriptCondition('hiddenSelector', options.hiddenSelector, `element ${options.hiddenSelector} to disappear`);
+    }
+    if (options.windowFlag) {
+      addScriptCondition('windowFlag', options.windowFlag, `window.${options.windowFlag} to be set`);
+    }
+    if (options.fonts) {
+      addScriptCondition('fonts', undefined, 'fonts to load');
+    }
+    if (options.images) {
+      addScriptCondition('images', undefined, 'images to load');
+    }
+    if (options.networkIdle) {
+      const idleTime = typeof options.networkIdle === 'number' ? options.networkIdle : DEFAULT_NETWORK_IDLE_TIME;
+      conditions.push({
+        description: `network to be idle for ${idleTime} ms`,
+        timeout,
+        wait: (driver, promiseFactory) =>
+          pollNetworkIdle(driver, promiseFactory, idleTime, GeneralUtils.currentTimeMillis() + timeout),
+      });
+    }
+    if (options.delay) {
+      conditions.push({
+        description: `delay of ${options.delay} ms`,
+        timeout,
+        wait: (driver, promiseFactory) => GeneralUtils.sleep(options.delay, promiseFactory).then(() => true),
+      });
+    }
+    return conditions;
+  }
+
+  /**
+   * Waits until all ready conditions of the story are met, one by one.
+   *
+   * @param {Logger} logger
+   * @param driver Selenium's driver or any object with `executeScript(script, ...args)` method
+   * @param {PromiseFactory} promiseFactory
+   * @param {{description: string, timeout: number, wait: function}[]} conditions
+   * @return {Promise<void>} Rejected with the error which describes the first condition that is not met in time
+   */
+  static waitUntilReady(logger, driver, promiseFactory, conditions) {
+    return conditions.reduce((promise, condition) => promise
+      .then(() => {
+        logger.verbose(`Waiting for ${condition.description}...`);
+        return condition.wait(driver, promiseFactory);
+      })
+      .then(isReady => {
+        if (!isReady) {
+          throw new Error(`Story is not ready, waiting for ${condition.description} exceeded ${condition.timeout} ms.`);
+        }
+      }), promiseFactory.resolve());
+  }
+}
+
+exports.EyesReadyUtils = EyesReadyUtils;
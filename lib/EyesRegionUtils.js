@@ -0,0 +1,143 @@
+'use strict';
+
+const {
+  Region,
+  FloatingMatchSettings,
+} = require('@applitools/eyes.sdk.core');
+
+const REGION_PROPERTIES = {
+  ignore: 'ignoreRegions',
+  floating: 'floatingRegions',
+};
+
+/**
+ * @param {string|object} region CSS selector, `{selector}` or coordinates `{left, top, width, height}` relative to the
+ *   captured image, floating regions have also `maxOffset` or `maxUpOffset`, `maxDownOffset`, `maxLeftOffset`,
+ *   `maxRightOffset`
+ * @param {string} propertyName
+ * @return {{selector: string, region: Region, maxUpOffset: number, maxDownOffset: number, maxLeftOffset: number,
+ *   maxRightOffset: number}} The region has either `selector` or `region`
+ */
+const normalizeRegion = (region, propertyName) => {
+  const options = typeof region === 'string' ? { selector: region } : (region || {});
+  const maxOffset = options.maxOffset || 0;
+  const normalized = {
+    selector: undefined,
+    region: undefined,
+    maxUpOffset: options.maxUpOffset !== undefined ? options.maxUpOffset : maxOffset,
+    maxDownOffset: options.maxDownOffset !== undefined ? options.maxDownOffset : maxOffset,
+    maxLeftOffset: options.maxLeftOffset !== undefined ? options.maxLeftOffset : maxOffset,
+    maxRightOffset: options.maxRightOffset !== undefined ? options.maxRightOffset : maxOffset,
+  };
+
+  if (options.selector) {
+    normalized.selector = options.selector;
+  } else if (['left', 'top', 'width', 'height'].every(name => typeof options[name] === 'number')) {
+    normalized.region = new Region(options.left, options.top, options.width, options.height);
+  } else {
+    throw new Error(`Invalid region ${JSON.stringify(region)} in ${propertyName}, it should be a CSS selector, ` +
+      '{selector} or {left, top, width, height}.');
+  }
+  return normalized;
+};
+
+/**
+ * @param {object} region Normalized region
+ * @param {Map<string, Region[]>} regionsBySelector
+ * @param {Location} [origin] Location of the captured image on the page, regions of elements are relative to it
+ * @return {Region[]}
+ */
+const resolveRegion = (region, regionsBySelector, origin) => {
+  if (region.region) {
+    return [region.region];
+  }
+
+  const regions = regionsBySelector.get(region.selector) || [];
+  return origin ? regions.map(elementRegion => elementRegion.offset(-origin.getX(), -origin.getY())) : regions;
+};
+
+class EyesRegionUtils {
+  /**
+   * Reads `matchLevel`, `ignoreRegions` and `floatingRegions` from parameters of the story, or from the configuration
+   * if the story doesn't define them.
+   *
+   * @param {EyesStorybookStory} story
+   * @param {object} configs
+   * @return {{matchLevel: string, ignore: object[], floating: object[]}} Match settings with normalized regions
+   */
+  static getMatchSettings(story, configs) {
+    const matchSettings = { matchLevel: story.getParameter('matchLevel', configs.matchLevel) };
+    Object.keys(REGION_PROPERTIES).forEach(type => {
+      const propertyName = REGION_PROPERTIES[type];
+      matchSettings[type] = [].concat(story.getParameter(propertyName, configs[propertyName]) || [])
+        .map(region => normalizeRegion(region, propertyName));
+    });
+    return matchSettings;
+  }
+
+  /**
+   * @param {object} matchSettings Match settings returned by `getMatchSettings`
+   * @return {string[]} Unique CSS selectors of the regions, which should be found on the page
+   */
+  static getSelectors(matchSettings) {
+    const selectors = [];
+    Object.keys(REGION_PROPERTIES).forEach(type => {
+      matchSettings[type].forEach(region => {
+        if (region.selector && !selectors.includes(region.selector)) {
+          selectors.push(region.selector);
+        }
+      });
+    });
+    return selectors;
+  }
+
+  /**
+   * Converts regions of VisualGrid's render status to regions by selectors. Elements which are not found are skipped.
+   *
+   * @param {string[]} selectors The selectors which were sent in the render request
+   * @param {Array} selectorRegions Regions of the render status, `{x, y, width, height}` (or an array of them, if
+   *   several elements are matched) for every selector
+   * @return {Map<string, Region[]>}
+   */
+  static fromSelectorRegions(selectors, selectorRegions) {
+    const regionsBySelector = new Map();
+    selectors.forEach((selector, i) => {
+      const regions = [].concat((selectorRegions && selectorRegions[i]) || [])
+        .filter(region => region && !region.error && region.width && region.height)
+        .map(region => new Region(region.x, region.y, region.width, region.height));
+      regionsBySelector.set(selector, regions);
+    });
+    return regionsBySelector;
+  }
+
+  /**
+   * @param {object} matchSettings Match settings returned by `getMatchSettings`
+   * @param {Map<string, Region[]>} regionsBySelector Regions of elements on the page, a selector can match several
+   *   elements, all of them are used
+   * @param {Location} [origin] Location of the captured image on the page, if only an element is captured
+   * @return {{matchLevel: string, ignore: Region[], floating: FloatingMatchSettings[]}} Match settings with regions
+   *   relative to the captured image
+   */
+  static resolveRegions(matchSettings, regionsBySelector, origin) {
+    const resolve = region => resolveRegion(region, regionsBySelector, origin);
+    const flatten = arrays => [].concat(...arrays);
+    const toFloatingRegions = floating => resolve(floating).map(region => new FloatingMatchSettings(
+      region.getLeft(),
+      region.getTop(),
+      region.getWidth(),
+      region.getHeight(),
+      floating.maxUpOffset,
+      floating.maxDownOffset,
+      floating.maxLeftOffset,
+      floating.maxRightOffset
+    ));
+
+    return {
+      matchLevel: matchSettings.matchLevel,
+      ignore: flatten(matchSettings.ignore.map(resolve)),
+      floating: flatten(matchSettings.floating.map(toFloatingRegions)),
+    };
+  }
+}
+
+exports.EyesRegionUtils = EyesRegionUtils;
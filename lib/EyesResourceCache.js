@@ -0,0 +1,128 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { EyesStorybookUtils } = require('./EyesStorybookUtils');
+
+const CACHE_FILE = 'resource-cache.json';
+
+/**
+ * @param {number} bytes
+ * @return {string}
+ */
+const formatBytes = bytes => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Remembers resources which were uploaded to the rendering service between runs, by hash of their content, so they
+ * aren't checked and uploaded again. Resources are known only to the service which received them, so the url of the
+ * service is a part of the key.
+ */
+class EyesResourceCache {
+  /**
+   * @param {Logger} logger
+   * @param {object} configs
+   * @param {string} serviceUrl
+   */
+  constructor(logger, configs, serviceUrl) {
+    /** @type {Logger} */
+    this._logger = logger;
+    /** @type {string} */
+    this._filePath = path.resolve(process.cwd(), configs.resourceCacheDir, CACHE_FILE);
+    /** @type {number} */
+    this._ttl = configs.resourceCacheTtl;
+    /** @type {string} */
+    this._serviceUrl = serviceUrl;
+
+    /** @type {Map<string, number>} Time of upload by key */
+    this._entries = new Map();
+    this._hits = 0;
+    this._misses = 0;
+    this._savedBytes = 0;
+  }
+
+  /**
+   * Reads the cache file, expired entries are dropped.
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    try {
+      const entries = JSON.parse(EyesStorybookUtils.readFile(this._filePath));
+      const minTime = Date.now() - this._ttl;
+      Object.keys(entries).forEach(key => {
+        if (entries[key] > minTime) {
+          this._entries.set(key, entries[key]);
+        }
+      });
+      this._logger.verbose(`Resource cache was loaded from ${this._filePath}, ${this._entries.size} entries.`);
+    } catch (e) {
+      this._logger.log(`Can't read resource cache from ${this._filePath}.`, e.message);
+    }
+  }
+
+  save() {
+    const entries = {};
+    this._entries.forEach((time, key) => {
+      entries[key] = time;
+    });
+
+    try {
+      EyesStorybookUtils.makeDirectory(path.dirname(this._filePath));
+      EyesStorybookUtils.writeFile(this._filePath, JSON.stringify(entries));
+    } catch (e) {
+      this._logger.log(`Can't write resource cache to ${this._filePath}.`, e.message);
+    }
+  }
+
+  /**
+   * @param {RGridResource[]} resources
+   * @return {RGridResource[]} Resources which are not known to the service, known ones are counted as hits
+   */
+  filterUnknown(resources) {
+    return resources.filter(resource => {
+      if (this._entries.has(this.getKey(resource))) {
+        this._hits += 1;
+        this._savedBytes += resource.getContent().length;
+        return false;
+      }
+
+      this._misses += 1;
+      return true;
+    });
+  }
+
+  /**
+   * @param {RGridResource[]} resources Resources which were uploaded to the service
+   */
+  add(resources) {
+    const time = Date.now();
+    resources.forEach(resource => this._entries.set(this.getKey(resource), time));
+  }
+
+  /**
+   * @return {string}
+   */
+  getStatsString() {
+    return `${this._hits} hits, ${this._misses} misses, ${formatBytes(this._savedBytes)} saved`;
+  }
+
+  /**
+   * @private
+   * @param {RGridResource} resource
+   * @return {string}
+   */
+  getKey(resource) {
+    return `${this._serviceUrl} ${resource.getSha256Hash()}`;
+  }
+}
+
+exports.EyesResourceCache = EyesResourceCache;
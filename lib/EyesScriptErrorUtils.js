@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+
+const MAX_ERRORS = 5;
+const MAX_STACK_FRAMES = 5;
+const STACK_FRAME_REGEXP = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+const SOURCE_MAPPING_URL_REGEXP = /\/\/[#@] sourceMappingURL=(\S+)\s*$/m;
+const MOCK_HINT = 'add a mock using `jsdomMocks` or `jsdomSetup` config property';
+
+// known causes of errors in JSDom, `hint` gets result of `pattern` matching
+const HINTS = [
+  {
+    pattern: /non-?existent addons channel/i,
+    hint: () => 'Storybook\'s addons channel is not set in JSDom. Let eyes-storybook build or start Storybook ' +
+      '(it generates the config which sets the channel), or use `eyes-setup` for your own build.',
+  },
+  {
+    pattern: /Not implemented: ([\w.]+)/,
+    hint: match => `${match[1]} is not implemented in JSDom, ${MOCK_HINT}.`,
+  },
+  {
+    pattern: /(\w+) is not defined/,
+    hint: match => `${match[1]} is not defined in JSDom, if it is a browser's API, ${MOCK_HINT}.`,
+  },
+  {
+    pattern: /([\w.]+) is not a (?:constructor|function)/,
+    hint: match => `${match[1]} is not supported by JSDom, if it is a browser's API, ${MOCK_HINT}.`,
+  },
+];
+
+/**
+ * @param {string} source
+ * @return {string}
+ */
+const cleanSourcePath = source => source.replace(/^webpack:\/\/\/?/, '').replace(/^\.\//, '');
+
+/**
+ * Reads source map of the bundle, which is inlined or stored next to the bundle in `storybookOutputDir`.
+ *
+ * @param {object} configs
+ * @param {{file: string, code: string}} bundle
+ * @return {SourceMapConsumer} Source map or null if it is not available
+ */
+const readSourceMap = (configs, bundle) => {
+  try {
+    const mappingUrlMatch = SOURCE_MAPPING_URL_REGEXP.exec(bundle.code);
+    const mappingUrl = mappingUrlMatch ? mappingUrlMatch[1] : undefined;
+    if (mappingUrl && mappingUrl.startsWith('data:')) {
+      const data = mappingUrl.split(',')[1];
+      return new SourceMapConsumer(Buffer.from(data, mappingUrl.includes(';base64') ? 'base64' : 'utf8').toString());
+    }
+
+    // there is no build in local modes (Selenium and CDP)
+    if (configs.useSelenium || configs.runner === 'cdp') {
+      return null;
+    }
+
+    const bundlePath = path.resolve(process.cwd(), configs.storybookOutputDir, bundle.file.split('?')[0]);
+    const mapPath = mappingUrl ? path.resolve(path.dirname(bundlePath), mappingUrl) : `${bundlePath}.map`;
+    return fs.existsSync(mapPath) ? new SourceMapConsumer(fs.readFileSync(mapPath, 'utf8')) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * @param {object} configs
+ * @param {Map<string, {file: string, code: string}>} bundles
+ * @param {Map<string, SourceMapConsumer>} sourceMaps Cache of parsed source maps
+ * @param {string} stack
+ * @return {string[]} Frames of the stack which belong to bundles, with original positions if available
+ */
+const formatStackFrames = (configs, bundles, sourceMaps, stack) => {
+  const frames = [];
+  String(stack).split('\n').forEach(line => {
+    const frameMatch = STACK_FRAME_REGEXP.exec(line);
+    if (!frameMatch || !bundles.has(frameMatch[2]) || frames.length >= MAX_STACK_FRAMES) {
+      return;
+    }
+
+    const [, functionName, file, lineNumber, columnNumber] = frameMatch;
+    if (!sourceMaps.has(file)) {
+      sourceMaps.set(file, readSourceMap(configs, bundles.get(file)));
+    }
+
+    let frame = `at ${functionName ? `${functionName} ` : ''}(${file}:${lineNumber}:${columnNumber})`;
+    const sourceMap = sourceMaps.get(file);
+    const original = sourceMap ?
+      sourceMap.originalPositionFor({ line: Number(lineNumber), column: Number(columnNumber) - 1 }) : {};
+    if (original.source) {
+      frame += ` -> ${cleanSourcePath(original.source)}:${original.line}:${original.column + 1}`;
+    }
+    frames.push(frame);
+  });
+  return frames;
+};
+
+class EyesScriptErrorUtils {
+  /**
+   * Describes errors which were thrown by Storybook's code in JSDom: the message, the bundle file and the original
+   * source line (using source maps), and the hint how to fix it if the cause is known.
+   *
+   * @param {object} configs
+   * @param {{file: string, code: string}[]} bundles
+   * @param {Error[]} errors Errors reported by JSDom's virtual console
+   * @return {string}
+   */
+  static formatErrors(configs, bundles, errors) {
+    const bundlesByFile = new Map(bundles.map(bundle => [bundle.file, bundle]));
+    const sourceMaps = new Map();
+
+    const descriptions = errors.slice(0, MAX_ERRORS).map(error => {
+      // uncaught exceptions are wrapped by JSDom, the original error is in `detail`
+      const cause = error.detail && error.detail.stack ? error.detail : error;
+      const message = cause.name && cause.message ? `${cause.name}: ${cause.message}` : error.message;
+
+      const lines = [message];
+      formatStackFrames(configs, bundlesByFile, sourceMaps, cause.stack).forEach(frame => lines.push(`  ${frame}`));
+
+      const knownCause = HINTS.find(({ pattern }) => pattern.test(message));
+      if (knownCause) {
+        lines.push(`  Hint: ${knownCause.hint(knownCause.pattern.exec(message))}`);
+      }
+
+      return lines.join('\n');
+    });
+
+    if (errors.length > MAX_ERRORS) {
+      descriptions.push(`...and ${errors.length - MAX_ERRORS} more errors.`);
+    }
+
+    return descriptions.join('\n');
+  }
+}
+
+exports.EyesScriptErrorUtils = EyesScriptErrorUtils;
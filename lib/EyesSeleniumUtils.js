@@ -15,6 +15,16 @@ const {
   GeneralUtils,
 } = require('@applitools/eyes.sdk.core');
 
+/**
+ * @param {number[]} rect Left, top, width and height of the element, they can be fractional
+ * @return {Region} The smallest region with integer coordinates which contains the element
+ */
+const rectToRegion = rect => {
+  const left = Math.floor(rect[0]);
+  const top = Math.floor(rect[1]);
+  return new Region(left, top, Math.ceil(rect[0] + rect[2]) - left, Math.ceil(rect[1] + rect[3]) - top);
+};
+
 const setBrowserSizeLoop = (logger, driver, requiredSize, sleep, retriesLeft) => {
   logger.verbose(`Trying to set browser size to: ${requiredSize}`);
   return driver.manage().window()
@@ -313,6 +323,64 @@ class EyesSeleniumUtils extends EyesJsBrowserUtils {
       .then(() => EyesSeleniumUtils.setCurrentScrollPosition(driver, originalPosition))
       .then(() => screenshot);
   }
+
+  /**
+   * @param driver
+   * @param {PromiseFactory} promiseFactory
+   * @param {number} timeout Milliseconds, the session is considered dead if the browser doesn't respond in time
+   * @return {Promise<boolean>} Whether the browser's session can still execute commands
+   */
+  static isSessionAlive(driver, promiseFactory, timeout) {
+    return promiseFactory.makePromise(resolve => {
+      const timer = setTimeout(() => resolve(false), timeout);
+      driver.executeScript('return true;').then(() => true, () => false).then(isAlive => {
+        clearTimeout(timer);
+        resolve(isAlive);
+      });
+    });
+  }
+
+  /**
+   * @param driver
+   * @param {string} selector CSS selector of the element
+   * @return {Promise<Region>} The region of the first matched element relative to the page, or `null` if the element
+   *   is not found or it has no size
+   */
+  static getElementRegion(driver, selector) {
+    const script = 'var element = document.querySelector(arguments[0]);' +
+      'if (!element) { return null; }' +
+      'var rect = element.getBoundingClientRect();' +
+      'return [rect.left + window.pageXOffset, rect.top + window.pageYOffset, rect.width, rect.height];';
+    return driver.executeScript(script, selector).then(result => {
+      if (!result || !result[2] || !result[3]) {
+        return null;
+      }
+
+      return rectToRegion(result);
+    });
+  }
+
+  /**
+   * @param driver
+   * @param {string[]} selectors CSS selectors of the elements
+   * @return {Promise<Map<string, Region[]>>} Regions of all matched elements relative to the page by selectors,
+   *   elements without size are skipped
+   */
+  static getElementsRegions(driver, selectors) {
+    const script = 'return arguments[0].map(function (selector) {' +
+      'return Array.prototype.map.call(document.querySelectorAll(selector), function (element) {' +
+      'var rect = element.getBoundingClientRect();' +
+      'return [rect.left + window.pageXOffset, rect.top + window.pageYOffset, rect.width, rect.height];' +
+      '});' +
+      '});';
+    return driver.executeScript(script, selectors).then(results => {
+      const regionsBySelector = new Map();
+      selectors.forEach((selector, i) => {
+        regionsBySelector.set(selector, results[i].filter(rect => rect[2] && rect[3]).map(rectToRegion));
+      });
+      return regionsBySelector;
+    });
+  }
 }
 
 exports.EyesSeleniumUtils = EyesSeleniumUtils;
@@ -0,0 +1,108 @@
+'use strict';
+
+const { RGridResource } = require('@applitools/eyes.sdk.core');
+
+const SCRIPT_FILE = 'eyes-stabilize.js';
+const DEFAULT_DATE = '2018-01-01T00:00:00Z';
+const DEFAULT_SEED = 1;
+
+const STYLE = '*, *::before, *::after {' +
+  'transition-duration: 0s !important; transition-delay: 0s !important;' +
+  'animation-duration: 0s !important; animation-delay: 0s !important; animation-iteration-count: 1 !important;' +
+  'caret-color: transparent !important; }';
+
+// ES5 only, the script is executed also in IE. The clock and random numbers are patched first, since the script
+// can be executed before the document is parsed (in CDP mode), the style is inserted as soon as the root element exists
+const SCRIPT_BODY = [
+  'var OriginalDate = window.Date;',
+  'var FrozenDate = function () {',
+  '  if (!(this instanceof FrozenDate)) { return new OriginalDate(time).toString(); }',
+  '  if (!arguments.length) { return new OriginalDate(time); }',
+  '  var args = [null].concat(Array.prototype.slice.call(arguments));',
+  '  return new (Function.prototype.bind.apply(OriginalDate, args))();',
+  '};',
+  'FrozenDate.prototype = OriginalDate.prototype;',
+  'FrozenDate.now = function () { return time; };',
+  'FrozenDate.parse = OriginalDate.parse;',
+  'FrozenDate.UTC = OriginalDate.UTC;',
+  'window.Date = FrozenDate;',
+  'var state = seed % 4294967296;',
+  'Math.random = function () {',
+  '  state = (state * 1664525 + 1013904223) % 4294967296;',
+  '  return state / 4294967296;',
+  '};',
+  'var insertStyle = function () {',
+  '  var root = document.head || document.documentElement;',
+  '  if (!root) { return false; }',
+  '  var style = document.createElement("style");',
+  '  style.setAttribute("data-eyes-stabilize", "");',
+  '  style.appendChild(document.createTextNode(css));',
+  '  root.appendChild(style);',
+  '  return true;',
+  '};',
+  'if (!insertStyle()) {',
+  '  document.addEventListener("DOMContentLoaded", insertStyle);',
+  '}',
+].join('\n');
+
+class EyesStabilizeUtils {
+  /**
+   * @param {object} configs
+   * @return {{time: number, seed: number}} Options of `stabilize` config property, or `null` if it's disabled
+   */
+  static getOptions(configs) {
+    if (!configs.stabilize) {
+      return null;
+    }
+
+    const options = configs.stabilize === true ? {} : configs.stabilize;
+    const time = new Date(options.date !== undefined ? options.date : DEFAULT_DATE).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date "${options.date}" in stabilize config property.`);
+    }
+
+    return { time, seed: options.seed !== undefined ? Number(options.seed) : DEFAULT_SEED };
+  }
+
+  /**
+   * The script disables CSS animations and transitions, hides the caret of inputs, freezes the clock (`Date`) and makes
+   * `Math.random` return the same sequence of numbers.
+   *
+   * @param {{time: number, seed: number}} options
+   * @return {string}
+   */
+  static getScript(options) {
+    const args = [options.time, options.seed, JSON.stringify(STYLE)].join(', ');
+    return `(function (time, seed, css) {\n${SCRIPT_BODY}\n})(${args});`;
+  }
+
+  /**
+   * @param {{time: number, seed: number}} options
+   * @return {RGridResource} The script as a resource of the Storybook build for VisualGrid
+   */
+  static createResource(options) {
+    const resource = new RGridResource();
+    resource.setUrl(`http://localhost/${SCRIPT_FILE}`);
+    resource.setContentType('application/javascript');
+    resource.setContent(Buffer.from(EyesStabilizeUtils.getScript(options)));
+    return resource;
+  }
+
+  /**
+   * @param {string} html Content of `iframe.html`
+   * @return {string} The html with the script of `createResource` at the beginning of `<head>`, before scripts of
+   *   Storybook
+   */
+  static addScriptToHtml(html) {
+    const scriptTag = `<script src="${SCRIPT_FILE}"></script>`;
+    const headTag = /<head[^>]*>/i.exec(html);
+    if (!headTag) {
+      return `${scriptTag}${html}`;
+    }
+
+    const index = headTag.index + headTag[0].length;
+    return `${html.slice(0, index)}${scriptTag}${html.slice(index)}`;
+  }
+}
+
+exports.EyesStabilizeUtils = EyesStabilizeUtils;
@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { EyesStorybookUtils } = require('./EyesStorybookUtils');
+
+/**
+ * Remembers how long it took to test every story (with its viewport size and browser) between runs, so stories which
+ * took the longest time are tested first and don't delay the end of the run.
+ */
+class EyesStoryTimings {
+  /**
+   * @param {Logger} logger
+   * @param {object} configs
+   */
+  constructor(logger, configs) {
+    /** @type {Logger} */
+    this._logger = logger;
+    /** @type {string} */
+    this._filePath = path.resolve(process.cwd(), configs.storyTimingsFile);
+
+    /** @type {Map<string, number>} Duration in milliseconds by story */
+    this._durations = new Map();
+  }
+
+  /**
+   * Reads durations of the previous run.
+   */
+  load() {
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    try {
+      const durations = this._readFile();
+      Object.keys(durations).forEach(key => this._durations.set(key, durations[key]));
+      this._logger.verbose(`Story timings were loaded from ${this._filePath}, ${this._durations.size} entries.`);
+    } catch (e) {
+      this._logger.log(`Can't read story timings from ${this._filePath}.`, e.message);
+    }
+  }
+
+  /**
+   * Writes durations of this run. Shards of the same run share the file, so durations which were saved by other
+   * shards in the meantime are kept, and the file is replaced atomically to never be read half-written.
+   */
+  save() {
+    const durations = {};
+    if (fs.existsSync(this._filePath)) {
+      try {
+        Object.assign(durations, this._readFile());
+      } catch (e) {
+        this._logger.log(`Can't read story timings from ${this._filePath}, they will be overwritten.`, e.message);
+      }
+    }
+
+    this._durations.forEach((duration, key) => {
+      durations[key] = duration;
+    });
+
+    const tempFilePath = `${this._filePath}.${process.pid}.tmp`;
+    try {
+      EyesStorybookUtils.makeDirectory(path.dirname(this._filePath));
+      EyesStorybookUtils.writeFile(tempFilePath, JSON.stringify(durations));
+      fs.renameSync(tempFilePath, this._filePath);
+    } catch (e) {
+      this._logger.log(`Can't write story timings to ${this._filePath}.`, e.message);
+      if (fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @return {object} Durations in milliseconds by story
+   */
+  _readFile() {
+    return JSON.parse(EyesStorybookUtils.readFile(this._filePath));
+  }
+
+  /**
+   * @param {EyesStorybookStory} story
+   * @return {number} Duration of the story in the previous run, or `undefined` if it's unknown
+   */
+  get(story) {
+    return this._durations.get(story.toString());
+  }
+
+  /**
+   * @param {EyesStorybookStory} story
+   * @param {number} duration Milliseconds
+   */
+  set(story, duration) {
+    this._durations.set(story.toString(), duration);
+  }
+
+  /**
+   * Sorts stories from the longest to the shortest one, stories which are unknown are considered as long as an average
+   * known story. Stories with the same duration keep their order.
+   *
+   * @param {EyesStorybookStory[]} stories
+   * @return {EyesStorybookStory[]} Sorted copy of the stories
+   */
+  sortByDuration(stories) {
+    const knownDurations = stories.map(story => this.get(story)).filter(duration => duration !== undefined);
+    const averageDuration = knownDurations.length ?
+      knownDurations.reduce((sum, duration) => sum + duration, 0) / knownDurations.length : 0;
+
+    return stories
+      .map((story, index) => {
+        const duration = this.get(story);
+        return { story, index, duration: duration !== undefined ? duration : averageDuration };
+      })
+      .sort((a, b) => (b.duration - a.duration) || (a.index - b.index))
+      .map(({ story }) => story);
+  }
+}
+
+exports.EyesStoryTimings = EyesStoryTimings;
@@ -1,15 +1,24 @@
 'use strict';
 
+const http = require('http');
+const axios = require('axios');
 const {
   EyesBase,
   RectangleSize,
   EyesSimpleScreenshot,
   NullRegionProvider,
   CheckSettings,
+  MatchLevel,
+  GeneralUtils,
 } = require('@applitools/eyes.sdk.core');
 
+const { EyesStorybookRenderStatusResults } = require('./EyesStorybookRenderStatusResults');
+
 const VERSION = require('../package.json').version;
 
+const RENDER_STATUS_RETRY = 3;
+const WAIT_BETWEEN_REQUESTS = 1000; // ms
+
 class EyesStorybook extends EyesBase {
   /**
    * Initializes an Eyes instance.
@@ -93,6 +102,24 @@ class EyesStorybook extends EyesBase {
     return this._renderWindowTask.checkAndPutResources(renderRequest);
   }
 
+  /**
+   * @param {RGridDom} rGridDom
+   * @param {RunningRender} runningRender
+   * @return {Promise<void>}
+   */
+  putResources(rGridDom, runningRender) {
+    return this._renderWindowTask.putResources(rGridDom, runningRender);
+  }
+
+  /**
+   * @param {RGridDom} rGridDom
+   * @param {RunningRender} runningRender
+   * @return {Promise<void>}
+   */
+  putDom(rGridDom, runningRender) {
+    return this._serverConnector.renderPutResource(runningRender, rGridDom.asResource());
+  }
+
   /**
    * @param {RenderRequest[]} renderRequests
    * @return {Promise<RunningRender[]>}
@@ -103,10 +130,52 @@ class EyesStorybook extends EyesBase {
 
   /**
    * @param {string[]} renderIds
-   * @return {Promise<RenderStatusResults[]>}
+   * @param {boolean} [withSelectorRegions=false] Whether some of the renders have `selectorsToFindRegionsFor`
+   * @return {Promise<EyesStorybookRenderStatusResults[]>}
+   */
+  getRenderStatusBatch(renderIds, withSelectorRegions = false) {
+    if (withSelectorRegions) {
+      return this.getRenderStatusBatchWithSelectorRegions(renderIds);
+    }
+
+    return this._renderWindowTask.getRenderStatusBatch(renderIds)
+      .then(renderStatusResults => Array.from(renderStatusResults)
+        .map(renderStatusResult => EyesStorybookRenderStatusResults.fromObject(renderStatusResult.toJSON())));
+  }
+
+  // TODO: remove when eyes.sdk.core will support selector regions (they should be a part of RenderStatusResults)
+  /**
+   * The same request as `ServerConnector.renderStatusById`, which keeps `selectorRegions` of the results.
+   *
+   * @private
+   * @param {string[]} renderIds
+   * @param {number} [retry]
+   * @return {Promise<EyesStorybookRenderStatusResults[]>}
    */
-  getRenderStatusBatch(renderIds) {
-    return this._renderWindowTask.getRenderStatusBatch(renderIds);
+  getRenderStatusBatchWithSelectorRegions(renderIds, retry = RENDER_STATUS_RETRY) {
+    const requestConfig = {
+      method: 'POST',
+      url: GeneralUtils.urlConcat(this._serverConnector.getRenderingServerUrl(), '/render-status'),
+      headers: { 'X-Auth-Token': this._serverConnector.getRenderingAuthToken() },
+      data: renderIds,
+      timeout: this._serverConnector.getTimeout(),
+    };
+    if (this._serverConnector.getProxy()) {
+      requestConfig.proxy = this._serverConnector.getProxy().toProxyObject();
+      if (requestConfig.proxy.protocol === 'http:') {
+        requestConfig.transport = http;
+      }
+    }
+
+    return this.getPromiseFactory().resolve(axios(requestConfig))
+      .then(response => Array.from(response.data)
+        .map(resultsData => EyesStorybookRenderStatusResults.fromObject(resultsData || {})), err => {
+        this._logger.verbose(`Getting of render statuses failed: ${err.message}`);
+        if (retry <= 1) throw err;
+
+        return GeneralUtils.sleep(WAIT_BETWEEN_REQUESTS, this.getPromiseFactory())
+          .then(() => this.getRenderStatusBatchWithSelectorRegions(renderIds, retry - 1));
+      });
   }
 
   /**
@@ -114,31 +183,54 @@ class EyesStorybook extends EyesBase {
    *
    * @param {MutableImage} screenshot The image png bytes or ImageProvider.
    * @param {string} [title] An optional tag to be associated with the validation checkpoint.
+   * @param {object} [matchSettings] Match level and regions of the checkpoint, see `EyesRegionUtils.resolveRegions`
    * @return {Promise}
    */
-  checkImage(screenshot, title) {
+  checkImage(screenshot, title, matchSettings) {
     this._title = title || '';
     this._screenshot = new EyesSimpleScreenshot(screenshot);
     this._screenshotUrl = undefined;
 
     const regionProvider = new NullRegionProvider(this.getPromiseFactory());
     this._logger.verbose(`checkImage(screenshot, "${title}")`);
-    return super.checkSingleWindowBase(regionProvider, title, false, new CheckSettings(0));
+    return super.checkSingleWindowBase(regionProvider, title, false, this.createCheckSettings(matchSettings));
   }
 
   /**
    * @param {string} imageLocation The image URL
    * @param {string} [title] An optional tag to be associated with the validation checkpoint.
+   * @param {object} [matchSettings] Match level and regions of the checkpoint, see `EyesRegionUtils.resolveRegions`
    * @return {Promise}
    */
-  checkUrl(imageLocation, title) {
+  checkUrl(imageLocation, title, matchSettings) {
     this._title = title || '';
     this._screenshot = undefined;
     this._screenshotUrl = imageLocation;
 
     const regionProvider = new NullRegionProvider(this.getPromiseFactory());
     this._logger.verbose(`checkUrl(${imageLocation}, "${title}")`);
-    return super.checkSingleWindowBase(regionProvider, title, false, new CheckSettings(0));
+    return super.checkSingleWindowBase(regionProvider, title, false, this.createCheckSettings(matchSettings));
+  }
+
+  /**
+   * @private
+   * @param {object} [matchSettings] Match level and regions of the checkpoint, see `EyesRegionUtils.resolveRegions`
+   * @return {CheckSettings}
+   */
+  createCheckSettings(matchSettings) {
+    const checkSettings = new CheckSettings(0);
+    if (!matchSettings) {
+      return checkSettings;
+    }
+
+    if (matchSettings.matchLevel) {
+      // the default match level of the test is the same, since it has only this checkpoint
+      this.setMatchLevel(MatchLevel[matchSettings.matchLevel] || matchSettings.matchLevel);
+      checkSettings.matchLevel(this.getMatchLevel());
+    }
+    matchSettings.ignore.forEach(region => checkSettings.ignore(region));
+    matchSettings.floating.forEach(floatingRegion => checkSettings.floating(floatingRegion));
+    return checkSettings;
   }
 
   /**
@@ -5,18 +5,23 @@ const {
   RenderInfo,
 } = require('@applitools/eyes.sdk.core');
 
+const { EyesEmulationUtils } = require('./EyesEmulationUtils');
+
 class EyesStorybookRenderRequest extends RenderRequest {
   /**
    * @param {string} webhook
    * @param {EyesStorybookStory} story
+   * @param {string} url
    * @param {RGridDom} dom
    * @param {string} [platform]
    * @param {string} [browserName]
+   * @param {string} [selector] CSS selector of the element which is rendered instead of the whole page
+   * @param {string[]} [regionSelectors] CSS selectors of elements which regions should be found by VisualGrid
    */
-  constructor(webhook, story, dom, platform, browserName) {
+  constructor(webhook, story, url, dom, platform, browserName, selector, regionSelectors) {
     super(
       webhook,
-      story.getStoryUrl('http://localhost/'),
+      url,
       dom,
       RenderInfo.fromRectangleSize(story.getViewportSize()),
       platform,
@@ -24,6 +29,8 @@ class EyesStorybookRenderRequest extends RenderRequest {
     );
 
     this._story = story;
+    this._selector = selector;
+    this._regionSelectors = regionSelectors || [];
   }
 
   // noinspection JSUnusedGlobalSymbols
@@ -38,6 +45,44 @@ class EyesStorybookRenderRequest extends RenderRequest {
   getStory() {
     return this._story;
   }
+
+  // noinspection JSUnusedGlobalSymbols
+  /** @return {string} */
+  getSelector() {
+    return this._selector;
+  }
+
+  // noinspection JSUnusedGlobalSymbols
+  /** @return {string[]} */
+  getRegionSelectors() {
+    return this._regionSelectors;
+  }
+
+  /**
+   * @return {string[]} Selectors which regions are returned in the render status, the rendered element goes first
+   */
+  getSelectorsToFindRegionsFor() {
+    return this._regionSelectors.length && this._selector ?
+      [this._selector].concat(this._regionSelectors) : this._regionSelectors;
+  }
+
+  // TODO: remove when eyes.sdk.core will support emulation and selectors (they should be a part of RenderInfo)
+  /** @override */
+  toJSON() {
+    const object = super.toJSON();
+    const emulation = this._story.getEmulation();
+    if (emulation && object.renderInfo) {
+      object.renderInfo.emulationInfo = EyesEmulationUtils.toEmulationInfo(emulation);
+    }
+    if (this._selector && object.renderInfo) {
+      object.renderInfo.sizeMode = 'selector';
+      object.renderInfo.selector = { type: 'css', selector: this._selector };
+    }
+    if (this._regionSelectors.length) {
+      object.selectorsToFindRegionsFor = this.getSelectorsToFindRegionsFor();
+    }
+    return object;
+  }
 }
 
 exports.EyesStorybookRenderRequest = EyesStorybookRenderRequest;
@@ -0,0 +1,30 @@
+'use strict';
+
+const {
+  GeneralUtils,
+  RenderStatusResults,
+} = require('@applitools/eyes.sdk.core');
+
+// TODO: remove when eyes.sdk.core will support selector regions (they should be a part of RenderStatusResults)
+class EyesStorybookRenderStatusResults extends RenderStatusResults {
+  constructor() {
+    super();
+    this._selectorRegions = undefined;
+  }
+
+  /**
+   * @param {object} object
+   * @return {EyesStorybookRenderStatusResults}
+   */
+  static fromObject(object) {
+    return GeneralUtils.assignTo(new EyesStorybookRenderStatusResults(), object);
+  }
+
+  // noinspection JSUnusedGlobalSymbols
+  /** @return {Array} Regions of elements matched by `selectorsToFindRegionsFor` of the render request */
+  getSelectorRegions() {
+    return this._selectorRegions;
+  }
+}
+
+exports.EyesStorybookRenderStatusResults = EyesStorybookRenderStatusResults;
@@ -1,5 +1,23 @@
 'use strict';
 
+/**
+ * @param {string} url
+ * @param {object} [params] Query parameters which should be added to the url, e.g. `{ theme: 'dark' }`
+ * @return {string}
+ */
+const addQueryParams = (url, params) => {
+  const query = Object.keys(params || {})
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+    .join('&');
+  if (!query) {
+    return url;
+  }
+
+  const [urlWithoutHash, ...hash] = url.split('#');
+  const separator = urlWithoutHash.includes('?') ? '&' : '?';
+  return [`${urlWithoutHash}${separator}${query}`, ...hash].join('#');
+};
+
 class EyesStorybookStory {
   /**
    * @param {string} componentName
@@ -10,6 +28,20 @@ class EyesStorybookStory {
     this._componentName = componentName;
     this._state = state;
     this._viewportSize = viewportSize;
+    this._browserName = undefined;
+    this._browserLabel = undefined;
+    this._emulation = undefined;
+    this._parameters = {};
+    this._storyId = undefined;
+  }
+
+  /**
+   * Creates a copy of the story, which can be adjusted without affecting the original one.
+   *
+   * @return {EyesStorybookStory}
+   */
+  clone() {
+    return Object.assign(Object.create(EyesStorybookStory.prototype), this);
   }
 
   /**
@@ -33,6 +65,92 @@ class EyesStorybookStory {
     return this._viewportSize;
   }
 
+  /**
+   * @param {RectangleSize} value
+   */
+  setViewportSize(value) {
+    this._viewportSize = value;
+  }
+
+  /**
+   * @return {string}
+   */
+  getBrowserName() {
+    return this._browserName;
+  }
+
+  /**
+   * @param {string} value
+   */
+  setBrowserName(value) {
+    this._browserName = value;
+  }
+
+  /**
+   * @return {string} The label of the browser from `browsers` matrix, it is shown in test results instead of the name
+   */
+  getBrowserLabel() {
+    return this._browserLabel;
+  }
+
+  /**
+   * @param {string} value
+   */
+  setBrowserLabel(value) {
+    this._browserLabel = value;
+  }
+
+  /**
+   * @return {object} Device emulation of the render (normalized by `EyesEmulationUtils`), if the story is emulated
+   */
+  getEmulation() {
+    return this._emulation;
+  }
+
+  /**
+   * @param {object} value
+   */
+  setEmulation(value) {
+    this._emulation = value;
+  }
+
+  /**
+   * @return {string} The id of the story, Storybook 5+ uses it to identify stories
+   */
+  getStoryId() {
+    return this._storyId;
+  }
+
+  /**
+   * @param {string} value
+   */
+  setStoryId(value) {
+    this._storyId = value;
+  }
+
+  /**
+   * @return {object} Eyes parameters declared next to the story, e.g. `parameters: { eyes: { skip: true } }`
+   */
+  getParameters() {
+    return this._parameters;
+  }
+
+  /**
+   * @param {object} value
+   */
+  setParameters(value) {
+    this._parameters = value || {};
+  }
+
+  /**
+   * @param {string} name
+   * @param {*} [defaultValue] Usually the value from the global configuration
+   * @return {*} The story's own value of the parameter, or the default value if the story doesn't define it
+   */
+  getParameter(name, defaultValue) {
+    return this._parameters[name] !== undefined ? this._parameters[name] : defaultValue;
+  }
+
   /**
    * @return {string}
    */
@@ -44,21 +162,58 @@ class EyesStorybookStory {
   }
 
   /**
+   * The url is built by `storyUrl` property of the configuration, which is a template (e.g.
+   * `{storybookUrl}iframe.html?id={id}`) or a function, otherwise the default Storybook's url is used. Query
+   * parameters from `storyUrlParams` are added to the url.
+   *
    * @param {string} storybookUrl
+   * @param {object} [configs]
    * @return {string}
    */
-  getStoryUrl(storybookUrl) {
-    return `${storybookUrl}iframe.html?selectedKind=${encodeURIComponent(this._componentName)}&` +
-      `selectedStory=${encodeURIComponent(this._state)}`;
+  getStoryUrl(storybookUrl, configs = {}) {
+    let defaultUrl;
+    if (this._storyId) {
+      defaultUrl = `${storybookUrl}iframe.html?id=${encodeURIComponent(this._storyId)}`;
+    } else {
+      defaultUrl = `${storybookUrl}iframe.html?selectedKind=${encodeURIComponent(this._componentName)}&` +
+        `selectedStory=${encodeURIComponent(this._state)}`;
+    }
+
+    let url = defaultUrl;
+    if (typeof configs.storyUrl === 'function') {
+      url = configs.storyUrl({
+        storybookUrl,
+        kind: this._componentName,
+        story: this._state,
+        id: this._storyId,
+        url: defaultUrl,
+      });
+    } else if (configs.storyUrl) {
+      const values = {
+        storybookUrl,
+        kind: encodeURIComponent(this._componentName),
+        story: encodeURIComponent(this._state),
+        id: this._storyId ? encodeURIComponent(this._storyId) : '',
+        url: defaultUrl,
+      };
+      url = configs.storyUrl.replace(/{(\w+)}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+    }
+
+    return addQueryParams(url, configs.storyUrlParams);
   }
 
   /** @override */
   toString() {
-    if (!this._viewportSize) {
+    const details = [
+      this._browserLabel || this._browserName,
+      this._viewportSize && this._viewportSize.toString(),
+      this._emulation && this._emulation.name,
+    ].filter(Boolean);
+    if (!details.length) {
       return this.getCompoundTitle();
     }
 
-    return `${this.getCompoundTitle()} [${this._viewportSize.toString()}]`;
+    return `${this.getCompoundTitle()} [${details.join(' ')}]`;
   }
 }
 
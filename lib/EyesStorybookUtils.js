@@ -4,20 +4,49 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const jsdom = require('jsdom/lib/old-api');
-const { spawn, exec } = require('child_process');
+const { spawn } = require('child_process');
 const { RectangleSize, GeneralUtils } = require('@applitools/eyes.sdk.core');
 
 const { EyesStorybookStory } = require('./EyesStorybookStory');
+const { EyesChangesUtils } = require('./EyesChangesUtils');
+const { EyesScriptErrorUtils } = require('./EyesScriptErrorUtils');
+const { EyesEmulationUtils } = require('./EyesEmulationUtils');
 
 const IS_WINDOWS = process.platform.startsWith('win');
 const REQUEST_TIMEOUT = 10000; // ms
 const WAIT_BETWEEN_REQUESTS = 1000; // ms
 const REQUEST_RETRY = 3;
+const CACHE_DIR = 'node_modules/.cache/eyes-storybook';
+const CONFIG_DIR_PREFIX = 'config-';
+const WEBPACK_STATS_FILE = 'eyes-webpack-stats.json';
+const SUPPORTED_VISUALGRID_BROWSERS = ['chrome', 'firefox', 'ie10', 'ie11', 'edge'];
+// browser's API which is not supported by JSDom, it's not needed by the Applitools Storybook API itself, but it is
+// needed to run clients' applications correctly
+const JSDOM_MOCKS = [
+  'event-source.js',
+  'local-storage.js',
+  'session-storage.js',
+  'match-media.js',
+  'request-animation-frame.js',
+  'observers.js',
+  'canvas.js',
+  'fetch.js',
+];
+// env variables of CI services, which have the same value for all parallel jobs of the build
+const CI_BUILD_ID_VARIABLES = [
+  'TRAVIS_BUILD_ID',
+  'CIRCLE_WORKFLOW_ID',
+  'CI_PIPELINE_ID', // GitLab
+  'BUILDKITE_BUILD_ID',
+  'BUILD_BUILDID', // Azure Pipelines / VSTS
+  'BUILD_TAG', // Jenkins
+];
 
 /* eslint-disable no-use-before-define */
 const NODE_TYPES = {
   ELEMENT: 1,
   TEXT: 3,
+  COMMENT: 8,
   DOCUMENT: 9,
   DOCUMENT_TYPE: 10,
 };
@@ -27,6 +56,11 @@ const childrenFactory = (domNodes, elementNodes) => {
 
   const childIndexes = [];
   elementNodes.forEach(elementNode => {
+    // comments don't affect rendering, e.g. React leaves them in DOM
+    if (elementNode.nodeType === NODE_TYPES.COMMENT) {
+      return;
+    }
+
     const index = elementNodeFactory(domNodes, elementNode);
     childIndexes.push(index);
   });
@@ -69,80 +103,418 @@ const elementNodeFactory = (domNodes, elementNode) => {
 const bufferToString = data => data.toString('utf8').trim();
 
 /**
- * @param {PromiseFactory} promiseFactory
+ * Eyes parameters can be declared next to the story, as `parameters.eyes` (Storybook's story parameters) or as `eyes`
+ * property of the story object. The parameters are copied, because objects created inside JSDom belong to another
+ * realm and fail `instanceof` checks.
+ *
+ * @param {object} story The story object received from Storybook
+ * @return {object}
+ */
+const getEyesParameters = story =>
+  JSON.parse(JSON.stringify((story.parameters && story.parameters.eyes) || story.eyes || {}));
+
+/**
+ * @param {EyesStorybookStory} story
+ * @return {string}
+ */
+const getStoryKey = story => {
+  const viewportSize = story.getViewportSize();
+  const emulation = story.getEmulation();
+  return [
+    story.getCompoundTitle(),
+    story.getBrowserLabel() || story.getBrowserName(),
+    viewportSize && viewportSize.toString(),
+    emulation && emulation.name,
+  ].join('\n');
+};
+
+/**
+ * Takes every n-th story of the sorted list, so all shards get the same partition regardless of discovery order.
+ *
+ * @param {Logger} logger
+ * @param {{index: number, total: number}} shard
+ * @param {EyesStorybookStory[]} stories
+ * @return {EyesStorybookStory[]}
+ */
+const getShardStories = (logger, shard, stories) => {
+  const sortedStories = stories
+    .map(story => ({ key: getStoryKey(story), story }))
+    .sort((a, b) => {
+      if (a.key === b.key) return 0;
+      return a.key < b.key ? -1 : 1;
+    });
+
+  const shardStories = sortedStories
+    .filter((item, i) => i % shard.total === shard.index - 1)
+    .map(item => item.story);
+
+  logger.log(`Shard ${shard.index}/${shard.total} contains ${shardStories.length} of ${stories.length} stories.`);
+  return shardStories;
+};
+
+/**
+ * Keeps only stories which depend on files changed since `configs.changedSince` git ref. If it can't be found out,
+ * all stories are kept.
+ *
+ * @param {Logger} logger
  * @param {object} configs
- * @param {string} storybookCode
- * @returns {Promise<array<object>>}
+ * @param {{kind: string, fileName: string}[]} groups
+ * @param {EyesStorybookStory[]} stories
+ * @return {EyesStorybookStory[]}
  */
-const getStorybookInstance = (promiseFactory, configs, storybookCode) =>
-  promiseFactory.makePromise((resolve, reject) => {
-    // JSDom is node-parser for javascript and therefore it doesn't support some browser's API.
-    // The Applitools Storybook API itself don't require them, but they needed to run clients' applications correctly.
-    const mocksCode = [
-      EyesStorybookUtils.readFile(`${__dirname}/mocks/event-source.js`),
-      EyesStorybookUtils.readFile(`${__dirname}/mocks/local-storage.js`),
-      EyesStorybookUtils.readFile(`${__dirname}/mocks/match-media.js`),
-    ];
+const filterChangedStories = (logger, configs, groups, stories) => {
+  const buildFilePath = EyesStorybookUtils.isLocalMode(configs) ? undefined :
+    path.resolve(process.cwd(), configs.storybookOutputDir, 'iframe.html');
+  const changedFiles = EyesChangesUtils.getChangedFiles(logger, configs.changedSince);
+  const stats = changedFiles &&
+    EyesChangesUtils.readWebpackStats(logger, EyesStorybookUtils.getWebpackStatsPath(configs), buildFilePath);
+  const affectedKinds = stats && EyesChangesUtils.getAffectedKinds(logger, configs, stats, changedFiles, groups);
+  if (!affectedKinds) {
+    logger.log(`Stories affected by changes since ${configs.changedSince} can't be found, all stories are tested.`);
+    return stories;
+  }
 
-    const jsdomConfig = {
-      html: '',
-      src: mocksCode.concat(storybookCode),
-      done: (err, window) => {
-        if (err) return reject(err.response.body);
-        if (!window || !window.__storybook_stories__) {
-          const message = 'Storybook object not found on window. ' +
-            'Check window.__storybook_stories__ is set in your Storybook\'s config.js.\n' +
-            'You need to set it manually or use `--build` option to set it automatically.';
-          return reject(new Error(message));
-        }
+  const changedStories = stories.filter(story => affectedKinds.has(story.getComponentName()));
+  logger.log(`${changedStories.length} of ${stories.length} stories are affected by changes since ` +
+    `${configs.changedSince}.`);
+  return changedStories;
+};
 
-        return resolve(window.__storybook_stories__);
-      },
-    };
+/**
+ * @param {string} dirPath
+ */
+const makeDirectory = dirPath => {
+  if (!fs.existsSync(dirPath)) {
+    makeDirectory(path.dirname(dirPath));
+    fs.mkdirSync(dirPath);
+  }
+};
 
-    if (configs.showStorybookOutput) {
-      jsdomConfig.virtualConsole = jsdom.createVirtualConsole().sendTo(console);
+/**
+ * @param {string} dirPath
+ */
+const removeDirectory = dirPath => {
+  if (!fs.existsSync(dirPath)) {
+    return;
+  }
+
+  fs.readdirSync(dirPath).forEach(fileName => {
+    const filePath = path.join(dirPath, fileName);
+    if (fs.statSync(filePath).isDirectory()) {
+      removeDirectory(filePath);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  });
+  fs.rmdirSync(dirPath);
+};
+
+/**
+ * Removes config directories left by runs which were killed before they could clean up after themselves.
+ *
+ * @param {Logger} logger
+ */
+const removeStaleConfigDirs = logger => {
+  const cacheDirPath = path.resolve(process.cwd(), CACHE_DIR);
+  if (!fs.existsSync(cacheDirPath)) {
+    return;
+  }
+
+  fs.readdirSync(cacheDirPath).filter(fileName => fileName.startsWith(CONFIG_DIR_PREFIX)).forEach(fileName => {
+    const pid = Number(fileName.substr(CONFIG_DIR_PREFIX.length));
+    try {
+      process.kill(pid, 0); // throws if the process doesn't exist, the signal itself does nothing
+    } catch (e) {
+      if (e.code === 'ESRCH') {
+        logger.verbose(`Removing stale Storybook configuration ${fileName}...`);
+        removeDirectory(path.join(cacheDirPath, fileName));
+      }
+    }
+  });
+};
+
+/**
+ * @param {Document} document
+ * @return {string[]} Values of `src` attribute of all scripts in the document
+ */
+const getScriptSources = document => {
+  const scriptNodes = document.querySelectorAll('script'); // :not([src])
+  const scriptSources = [];
+  Array.from(scriptNodes).forEach(scriptNode => {
+    if (scriptNode.attributes['src']) {
+      scriptSources.push(scriptNode.attributes['src'].value);
+    }
+  });
+  return scriptSources;
+};
+
+/**
+ * Storybook's bundles are referenced by relative paths, e.g. `static/preview.bundle.js` in Storybook 3 or
+ * `main.1a2b3c.bundle.js` in Storybook 4+. Scripts from other hosts are not part of the build.
+ *
+ * @param {string} scriptSource
+ * @return {boolean}
+ */
+const isLocalScript = scriptSource => !/^([a-z]+:)?\/\//i.test(scriptSource);
+
+/**
+ * @param {string} packageName
+ * @return {?string}
+ */
+const getInstalledPackageVersion = packageName => {
+  const packageJsonPath = path.resolve(process.cwd(), 'node_modules', packageName, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  return JSON.parse(EyesStorybookUtils.readFile(packageJsonPath)).version;
+};
+
+/**
+ * @param {string} [version] A version or a version range, e.g. `4.0.0-alpha.20`, `^3.4.8`, `~5.0`
+ * @return {number|undefined}
+ */
+const getMajorVersion = version => {
+  const match = /^[\^~>=v\s]*(\d+)(\.|$)/.exec(version || '');
+  return match ? Number(match[1]) : undefined;
+};
+
+/**
+ * Converts a kind or a story name to the format which is used in story ids since Storybook 5.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+const sanitizeStoryIdPart = value => value.toLowerCase()
+  .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-+/, '')
+  .replace(/-+$/, '');
+
+/**
+ * Storybook 4+ doesn't require to export stories to `window.__storybook_stories__`, it exposes own client API and
+ * story store. The function extracts stories from them in the same format as `getStorybook()` returns.
+ *
+ * @param {Window} window
+ * @return {?array<{kind: string, fileName: *, stories: array<object>}>}
+ */
+const getStorybookFromClientApi = window => {
+  const clientApi = window.__STORYBOOK_CLIENT_API__;
+  const storyStore = window.__STORYBOOK_STORY_STORE__ || (clientApi && clientApi._storyStore);
+
+  // Storybook 5: the story store contains ids and parameters of stories
+  if (storyStore && typeof storyStore.raw === 'function') {
+    const groups = [];
+    const groupsByKind = new Map();
+    Array.from(storyStore.raw()).forEach(story => {
+      if (!groupsByKind.has(story.kind)) {
+        const fileName = story.parameters ? story.parameters.fileName : undefined;
+        groupsByKind.set(story.kind, { kind: story.kind, fileName, stories: [] });
+        groups.push(groupsByKind.get(story.kind));
+      }
+
+      groupsByKind.get(story.kind).stories.push({ id: story.id, name: story.name, parameters: story.parameters });
+    });
+    return groups;
+  }
+
+  // Storybook 4: the client API returns stories without parameters, they are stored in the story store
+  if (clientApi && typeof clientApi.getStorybook === 'function') {
+    return Array.from(clientApi.getStorybook()).map(group => ({
+      kind: group.kind,
+      fileName: group.fileName,
+      stories: Array.from(group.stories).map(story => ({
+        name: story.name,
+        parameters: storyStore && typeof storyStore.getStoryAndParameters === 'function' ?
+          storyStore.getStoryAndParameters(group.kind, story.name).parameters : undefined,
+      })),
+    }));
+  }
+
+  return null;
+};
+
+/**
+ * @param {EyesStorybookStory} story
+ * @param {RegExp} regExp
+ * @return {boolean}
+ */
+const isStoryMatch = (story, regExp) =>
+  [story.getComponentName(), story.getState(), story.getCompoundTitle()].some(value => regExp.test(value));
+
+/**
+ * Applies `include` and `exclude` rules from the configuration to the list of stories.
+ *
+ * @param {Logger} logger
+ * @param {object} configs
+ * @param {EyesStorybookStory[]} stories
+ * @return {EyesStorybookStory[]}
+ */
+const filterStories = (logger, configs, stories) => {
+  const includeRules = [].concat(configs.include || []);
+  const excludeRules = [].concat(configs.exclude || []);
+
+  let filteredStories = stories;
+  if (includeRules.length) {
+    const includeRegExps = includeRules.map(EyesStorybookUtils.patternToRegExp);
+    filteredStories = filteredStories.filter(story => includeRegExps.some(regExp => isStoryMatch(story, regExp)));
+
+    includeRules.forEach((rule, i) => {
+      const matchedCount = stories.filter(story => isStoryMatch(story, includeRegExps[i])).length;
+      logger.log(`Include rule "${rule}" matched ${matchedCount} stories.`);
+    });
+    logger.log(`Include rules removed ${stories.length - filteredStories.length} stories.`);
+  }
+
+  excludeRules.forEach(rule => {
+    const regExp = EyesStorybookUtils.patternToRegExp(rule);
+    const storiesCount = filteredStories.length;
+    filteredStories = filteredStories.filter(story => !isStoryMatch(story, regExp));
+    logger.log(`Exclude rule "${rule}" removed ${storiesCount - filteredStories.length} stories.`);
+  });
+
+  return filteredStories;
+};
+
+/**
+ * @param {Logger} logger
+ * @param {PromiseFactory} promiseFactory
+ * @param {object} configs
+ * @param {{file: string, code: string}[]} bundles
+ * @returns {Promise<array<object>>}
+ */
+const getStorybookInstance = (logger, promiseFactory, configs, bundles) =>
+  EyesStorybookUtils.createJsdomWindow(promiseFactory, configs, bundles).then(({ window, scriptErrors }) => {
+    const errorsDescription = scriptErrors.length ?
+      `Errors in Storybook's code:\n${EyesScriptErrorUtils.formatErrors(configs, bundles, scriptErrors)}` : '';
+
+    const storybook = window && (window.__storybook_stories__ || getStorybookFromClientApi(window));
+    if (!storybook) {
+      const message = 'Storybook object not found on window. ' +
+        'Check window.__storybook_stories__ is set in your Storybook\'s config.js.\n' +
+        'You need to set it manually or use `--build` option to set it automatically.';
+      throw new Error(errorsDescription ? `${message}\n${errorsDescription}` : message);
     }
 
-    jsdom.env(jsdomConfig);
+    if (errorsDescription) {
+      logger.log(`Stories were found, but some of them can be missing. ${errorsDescription}`);
+    }
+
+    return storybook;
   });
 
 /**
  * @param {Logger} logger
  * @param {PromiseFactory} promiseFactory
  * @param {object} configs
- * @param {string} previewCode
+ * @param {{file: string, code: string}[]} bundles Storybook's scripts in order of execution
  * @returns {Promise<EyesStorybookStory[]>}
  */
-const prepareStories = (logger, promiseFactory, configs, previewCode) =>
-  getStorybookInstance(promiseFactory, configs, previewCode).then(storybook => {
+const prepareStories = (logger, promiseFactory, configs, bundles) =>
+  getStorybookInstance(logger, promiseFactory, configs, bundles).then(storybook => {
     logger.log('Storybook instance was created.');
 
-    const stories = [];
+    let stories = [];
     Array.from(storybook).forEach(group => {
       Array.from(group.stories).forEach(story => {
-        stories.push(new EyesStorybookStory(group.kind, story.name));
+        const eyesStory = new EyesStorybookStory(group.kind, story.name);
+        eyesStory.setParameters(getEyesParameters(story));
+        if (story.id) {
+          eyesStory.setStoryId(story.id);
+        } else if (configs.storybookVersion >= 5) {
+          eyesStory.setStoryId(`${sanitizeStoryIdPart(group.kind)}--${sanitizeStoryIdPart(story.name)}`);
+        }
+        stories.push(eyesStory);
       });
     });
 
     logger.log('Storied were extracted.');
 
-    if (!configs.viewportSize) {
-      return stories;
+    if (configs.include || configs.exclude) {
+      stories = filterStories(logger, configs, stories);
+      logger.log(`Stories were filtered, ${stories.length} stories left.`);
+    }
+
+    if (configs.changedSince) {
+      stories = filterChangedStories(logger, configs, Array.from(storybook), stories);
     }
 
+    const storiesCount = stories.length;
+    stories = stories.filter(story => !story.getParameter('skip', false));
+    if (stories.length !== storiesCount) {
+      logger.log(`${storiesCount - stories.length} stories were skipped according to their parameters.`);
+    }
+
+    const configBrowserNames = [].concat((configs.capabilities && configs.capabilities.browserName) || []);
     const newStories = [];
-    configs.viewportSize.forEach(viewportSize => {
-      stories.forEach(story => {
-        newStories.push(new EyesStorybookStory(
-          story.getComponentName(),
-          story.getState(),
-          new RectangleSize(viewportSize)
-        ));
+    stories.forEach(story => {
+      // the matrix of browsers replaces all combinations of browser names, viewport sizes and emulations
+      const browsers = EyesStorybookUtils.isLocalMode(configs) ? [] :
+        [].concat(story.getParameter('browsers', configs.browsers) || []);
+      if (browsers.length) {
+        browsers.forEach(browser => {
+          // browsers of the config are validated by the CLI, but stories can have their own ones
+          if (!SUPPORTED_VISUALGRID_BROWSERS.includes(browser.name)) {
+            throw new Error(`Browser "${browser.name}" in \`browsers\` of ${story.toString()} is not supported, ` +
+              `possible values [${SUPPORTED_VISUALGRID_BROWSERS}].`);
+          }
+
+          const [emulation] = EyesEmulationUtils.getEmulations(browser.emulation);
+          const viewportSize = emulation && emulation.width ? emulation : browser;
+          if (!(viewportSize.width && viewportSize.height)) {
+            const browserTitle = browser.label || browser.name;
+            throw new Error(`Browser ${browserTitle} in \`browsers\` should contain width and height properties ` +
+              'or emulation of a device.');
+          }
+
+          const newStory = story.clone();
+          newStory.setViewportSize(new RectangleSize(viewportSize.width, viewportSize.height));
+          newStory.setBrowserName(browser.name);
+          newStory.setBrowserLabel(browser.label);
+          newStory.setEmulation(emulation);
+          newStories.push(newStory);
+        });
+        return;
+      }
+
+      // in local modes all stories are tested in the single browser, which is Chrome in CDP mode or is set in
+      // capabilities in Selenium mode
+      const localBrowserNames = configs.runner === 'cdp' ? ['chrome'] : configBrowserNames;
+      let browserNames = [].concat(story.getParameter('browserName', localBrowserNames));
+      if (EyesStorybookUtils.isLocalMode(configs)) {
+        browserNames = browserNames.filter(browserName => localBrowserNames.includes(browserName));
+        if (!browserNames.length) {
+          logger.log(`Story ${story.toString()} skipped, it is not intended for ${localBrowserNames}.`);
+          return;
+        }
+      }
+
+      // emulation is supported by VisualGrid and CDP modes, the viewport of an emulated device is the size of its
+      // screen
+      const emulations = configs.useSelenium ? [] :
+        EyesEmulationUtils.getEmulations(story.getParameter('emulation', configs.emulation));
+      const configViewportSizes = [].concat(story.getParameter('viewportSize', configs.viewportSize) || []);
+      (emulations.length ? emulations : [undefined]).forEach(emulation => {
+        const viewportSizes = emulation && emulation.width ?
+          [{ width: emulation.width, height: emulation.height }] : configViewportSizes;
+        (viewportSizes.length ? viewportSizes : [undefined]).forEach(viewportSize => {
+          (browserNames.length ? browserNames : [undefined]).forEach(browserName => {
+            const newStory = story.clone();
+            newStory.setViewportSize(viewportSize ? new RectangleSize(viewportSize) : undefined);
+            newStory.setBrowserName(browserName);
+            newStory.setEmulation(emulation);
+            newStories.push(newStory);
+          });
+        });
       });
     });
 
-    logger.log('Storied were mixed with viewportSize(s).');
+    logger.log('Storied were mixed with viewportSize(s), browser(s) and emulation(s).');
+
+    if (configs.shard) {
+      return getShardStories(logger, configs.shard, newStories);
+    }
+
     return newStories;
   });
 
@@ -160,7 +532,8 @@ const waitForStorybookStarted = (promiseFactory, childProcess) =>
     };
 
     const webpackBuiltListener = str => {
-      if (str.includes('webpack built')) {
+      // Storybook 2-3 prints output of webpack, Storybook 4+ prints its own message when the build is done
+      if (str.includes('webpack built') || /Storybook ([\d.]+[^\s]* )?started/.test(str)) {
         resolve();
       }
     };
@@ -173,6 +546,17 @@ const waitForStorybookStarted = (promiseFactory, childProcess) =>
   });
 
 class EyesStorybookUtils {
+  /**
+   * In local modes (Selenium and CDP) Storybook is started and stories are tested in a local browser, in VisualGrid
+   * mode Storybook is built and stories are rendered remotely.
+   *
+   * @param {object} configs
+   * @return {boolean}
+   */
+  static isLocalMode(configs) {
+    return Boolean(configs.useSelenium) || configs.runner === 'cdp';
+  }
+
   /**
    * @param {Logger} logger
    * @param {PromiseFactory} promiseFactory
@@ -187,28 +571,21 @@ class EyesStorybookUtils {
 
     logger.log('Starting Storybook...');
 
+    let configDir;
+    try {
+      configDir = EyesStorybookUtils.createConfigDir(logger, configs);
+    } catch (e) {
+      return promiseFactory.reject(e);
+    }
+
     const storybookPath = path.resolve(process.cwd(), `node_modules/.bin/start-storybook${IS_WINDOWS ? '.cmd' : ''}`);
-    const args = ['-p', configs.storybookPort, '-h', configs.storybookHost, '-c', configs.storybookConfigDir];
+    const args = ['-p', configs.storybookPort, '-h', configs.storybookHost, '-c', configDir];
 
     if (configs.storybookStaticDir) {
       args.push('-s');
       args.push(configs.storybookStaticDir);
     }
 
-    const storybookConfigPath = path.resolve(process.cwd(), configs.storybookConfigDir, 'config.js');
-    if (!fs.existsSync(storybookConfigPath)) {
-      return promiseFactory.reject(new Error(`Storybook config file not found: ${storybookConfigPath}`));
-    }
-
-    let isConfigOverridden = false;
-    const storybookConfigBody = EyesStorybookUtils.readFile(storybookConfigPath);
-    if (!storybookConfigBody.includes('__storybook_stories__')) {
-      logger.verbose('Rewriting configuration...');
-      const template = EyesStorybookUtils.updateStorybookConfig(configs, storybookConfigBody);
-      EyesStorybookUtils.writeFile(storybookConfigPath, template);
-      isConfigOverridden = true;
-    }
-
     logger.log(`${storybookPath.toString()} ${args.join(' ')}`);
     const childProcess = spawn(storybookPath, args, { detached: !IS_WINDOWS });
 
@@ -221,10 +598,7 @@ class EyesStorybookUtils {
 
     // exit on terminate
     process.on('exit', () => {
-      if (isConfigOverridden) {
-        logger.verbose('Restoring configuration...');
-        EyesStorybookUtils.writeFile(storybookConfigPath, storybookConfigBody);
-      }
+      EyesStorybookUtils.removeConfigDir(logger, configs, configDir);
 
       try {
         if (IS_WINDOWS) {
@@ -260,30 +634,24 @@ class EyesStorybookUtils {
     }
 
     logger.log('Building Storybook...');
+
+    let configDir;
+    try {
+      configDir = EyesStorybookUtils.createConfigDir(logger, configs);
+    } catch (e) {
+      return promiseFactory.reject(e);
+    }
+
     const storybookPath = path.resolve(process.cwd(), `node_modules/.bin/build-storybook${IS_WINDOWS ? '.cmd' : ''}`);
-    const args = ['-c', configs.storybookConfigDir, '-o', configs.storybookOutputDir];
+    const args = ['-c', configDir, '-o', configs.storybookOutputDir];
 
     if (configs.storybookStaticDir) {
       args.push('-s');
       args.push(configs.storybookStaticDir);
     }
 
-    const storybookConfigPath = path.resolve(process.cwd(), configs.storybookConfigDir, 'config.js');
-    if (!fs.existsSync(storybookConfigPath)) {
-      return promiseFactory.reject(new Error(`Storybook config file not found: ${storybookConfigPath}`));
-    }
-
-    let isConfigOverridden = false;
-    const storybookConfigBody = EyesStorybookUtils.readFile(storybookConfigPath);
-    if (!storybookConfigBody.includes('__storybook_stories__')) {
-      logger.verbose('Rewriting configuration...');
-      const template = EyesStorybookUtils.updateStorybookConfig(configs, storybookConfigBody);
-      EyesStorybookUtils.writeFile(storybookConfigPath, template);
-      isConfigOverridden = true;
-    }
-
     logger.log(`${storybookPath.toString()} ${args.join(' ')}`);
-    const childProcess = exec(storybookPath, args);
+    const childProcess = spawn(storybookPath, args);
 
     if (configs.showStorybookOutput) {
       // eslint-disable-next-line no-console
@@ -294,10 +662,7 @@ class EyesStorybookUtils {
 
     return promiseFactory.makePromise((resolve, reject) => {
       childProcess.on('exit', statusCode => {
-        if (isConfigOverridden) {
-          logger.verbose('Restoring configuration...');
-          EyesStorybookUtils.writeFile(storybookConfigPath, storybookConfigBody);
-        }
+        EyesStorybookUtils.removeConfigDir(logger, configs, configDir);
 
         if (statusCode !== 0) {
           return reject('Error during `build-storybook` execution.');
@@ -309,6 +674,39 @@ class EyesStorybookUtils {
     });
   }
 
+  /**
+   * Groups prepared stories (one per viewport, browser and emulation) back to the stories declared in Storybook, so the
+   * result describes what would be tested without running the tests.
+   *
+   * @param {object} configs
+   * @param {EyesStorybookStory[]} stories
+   * @return {object[]}
+   */
+  static createStoriesManifest(configs, stories) {
+    const manifest = new Map();
+    stories.forEach(story => {
+      const storyUrl = story.getStoryUrl(configs.storybookUrl || '', configs);
+      if (!manifest.has(storyUrl)) {
+        manifest.set(storyUrl, {
+          componentName: story.getComponentName(),
+          state: story.getState(),
+          title: story.getCompoundTitle(),
+          storyUrl,
+          combinations: [],
+        });
+      }
+
+      const viewportSize = story.getViewportSize();
+      manifest.get(storyUrl).combinations.push({
+        browserName: story.getBrowserName() || null,
+        browserLabel: story.getBrowserLabel() || null,
+        viewportSize: viewportSize ? { width: viewportSize.getWidth(), height: viewportSize.getHeight() } : null,
+        emulation: story.getEmulation() ? story.getEmulation().name : null,
+      });
+    });
+    return Array.from(manifest.values());
+  }
+
   /**
    * @param {Logger} logger
    * @param {PromiseFactory} promiseFactory
@@ -316,7 +714,7 @@ class EyesStorybookUtils {
    * @returns {Promise<EyesStorybookStory[]>}
    */
   static getStories(logger, promiseFactory, configs) {
-    if (configs.useSelenium) {
+    if (EyesStorybookUtils.isLocalMode(configs)) {
       return EyesStorybookUtils.getStoriesFromWeb(logger, promiseFactory, configs);
     }
 
@@ -348,16 +746,7 @@ class EyesStorybookUtils {
         return EyesStorybookUtils.getDocumentFromHtml(promiseFactory, iframeContent).then(resolve);
       });
     })
-      .then(document => {
-        const scriptNodes = document.querySelectorAll('script'); // :not([src])
-        const bundleFiles = [];
-        Array.from(scriptNodes).forEach(scriptNode => {
-          if (scriptNode.attributes['src']) {
-            bundleFiles.push(scriptNode.attributes['src'].value);
-          }
-        });
-        return bundleFiles;
-      });
+      .then(document => getScriptSources(document));
   }
 
   /**
@@ -370,24 +759,23 @@ class EyesStorybookUtils {
   static getStoriesFromWeb(logger, promiseFactory, configs, retry = REQUEST_RETRY) {
     logger.log('Getting stories from storybook server...', retry !== REQUEST_RETRY ? (` ${retry} retries left.`) : '');
 
-    return axios.get(`${configs.storybookUrl}static/preview.bundle.js`, { timeout: REQUEST_TIMEOUT })
-      .then(previewResponse => { // eslint-disable-line arrow-body-style
-        return axios.get(`${configs.storybookUrl}static/vendor.bundle.js`, { timeout: REQUEST_TIMEOUT })
-          .then(vendorResponse => `${vendorResponse.data};\n${previewResponse.data}`)
-          .catch(err => {
-            if (err && err.response.status !== 404) {
-              logger.verbose('Getting vendor.bundle.js file failed.');
-            }
-
-            return previewResponse.data;
-          })
-          .then(storybookCode => {
-            logger.log('Storybook code was received from server.');
-            return prepareStories(logger, promiseFactory, configs, storybookCode)
-              .then(stories => {
-                logger.log('Stories were prepared.');
-                return stories;
-              });
+    return axios.get(`${configs.storybookUrl}iframe.html`, { timeout: REQUEST_TIMEOUT })
+      .then(iframeResponse => EyesStorybookUtils.getDocumentFromHtml(promiseFactory, iframeResponse.data))
+      .then(document => {
+        // bundles should be executed in the same order as they are defined in iframe.html
+        const bundleFiles = getScriptSources(document).filter(isLocalScript);
+        return bundleFiles.reduce((promise, bundleFile) => promise.then(bundles => {
+          logger.verbose(`Getting ${bundleFile} from server...`);
+          return axios.get(`${configs.storybookUrl}${bundleFile}`, { timeout: REQUEST_TIMEOUT, responseType: 'text' })
+            .then(bundleResponse => bundles.concat({ file: bundleFile, code: bundleResponse.data }));
+        }), promiseFactory.resolve([]));
+      })
+      .then(bundles => {
+        logger.log('Storybook code was received from server.');
+        return prepareStories(logger, promiseFactory, configs, bundles)
+          .then(stories => {
+            logger.log('Stories were prepared.');
+            return stories;
           });
       }, err => {
         logger.log('Error on getting stories: ', err);
@@ -406,26 +794,11 @@ class EyesStorybookUtils {
    * @returns {Promise<EyesStorybookStory[]>}
    */
   static getStoriesFromStatic(logger, promiseFactory, configs, bungleFiles) {
-    return promiseFactory.makePromise((resolve, reject) => {
-      logger.log('Getting stories from storybook build...');
-      const staticDirPath = path.resolve(process.cwd(), configs.storybookOutputDir, 'static');
-
-      try {
-        let content = '';
-        Array.from(bungleFiles).forEach(bundleFile => {
-          if (bundleFile.startsWith('static/')) {
-            const fileContent = fs.readFileSync(path.resolve(staticDirPath, '..', bundleFile), 'utf8');
-            content += `${fileContent};\n`;
-          }
-        });
-        return resolve(content);
-      } catch (e) {
-        return reject(e);
-      }
-    })
-      .then(storybookCode => {
+    logger.log('Getting stories from storybook build...');
+    return EyesStorybookUtils.readBundles(promiseFactory, configs, bungleFiles)
+      .then(bundles => {
         logger.log('Storybook code was loaded from build.');
-        return prepareStories(logger, promiseFactory, configs, storybookCode);
+        return prepareStories(logger, promiseFactory, configs, bundles);
       })
       .then(stories => {
         logger.log('Stories were prepared.');
@@ -433,6 +806,103 @@ class EyesStorybookUtils {
       });
   }
 
+  /**
+   * @param {PromiseFactory} promiseFactory
+   * @param {object} configs
+   * @param {string[]} bundleFiles Sources of scripts of `iframe.html`, only local ones are read
+   * @returns {Promise<{file: string, code: string}[]>}
+   */
+  static readBundles(promiseFactory, configs, bundleFiles) {
+    return promiseFactory.makePromise((resolve, reject) => {
+      const outputDirPath = path.resolve(process.cwd(), configs.storybookOutputDir);
+
+      try {
+        const bundles = Array.from(bundleFiles).filter(isLocalScript).map(bundleFile => ({
+          file: bundleFile,
+          code: fs.readFileSync(path.resolve(outputDirPath, bundleFile.split('?')[0]), 'utf8'),
+        }));
+        return resolve(bundles);
+      } catch (e) {
+        return reject(e);
+      }
+    });
+  }
+
+  /**
+   * Evaluates Storybook's bundles in JSDom, after the mocks of browser's API (built-in ones and `jsdomMocks`),
+   * `jsdomSetup` and `scripts` of the options. Errors thrown by the bundles don't reject the promise, they are returned
+   * to be reported.
+   *
+   * @param {PromiseFactory} promiseFactory
+   * @param {object} configs
+   * @param {{file: string, code: string}[]} bundles
+   * @param {{html: string, url: string, userAgent: string, scripts: string[]}} [options] Page to load, it's blank by
+   *   default
+   * @returns {Promise<{window: Window, scriptErrors: Error[]}>}
+   */
+  static createJsdomWindow(promiseFactory, configs, bundles, options = {}) {
+    return promiseFactory.makePromise((resolve, reject) => {
+      // JSDom is node-parser for javascript and therefore it doesn't support some browser's API.
+      const mocksCode = JSDOM_MOCKS.map(fileName => EyesStorybookUtils.readFile(`${__dirname}/mocks/${fileName}`));
+
+      // users' mocks are evaluated after the built-in ones, so they can override them
+      const userMocks = [].concat(configs.jsdomMocks || []);
+      for (let i = 0, l = userMocks.length; i < l; i += 1) {
+        const mockPath = path.resolve(process.cwd(), userMocks[i]);
+        if (!fs.existsSync(mockPath)) {
+          return reject(new Error(`JSDom mock file not found: ${mockPath}`));
+        }
+        mocksCode.push(EyesStorybookUtils.readFile(mockPath));
+      }
+
+      // each bundle is a separate script, so errors in stack traces refer to the bundle file
+      const bundlesCode = bundles.map(bundle => `${bundle.code}\n//# sourceURL=${bundle.file}\n`);
+
+      const scriptErrors = [];
+      const virtualConsole = jsdom.createVirtualConsole();
+      if (configs.showStorybookOutput) {
+        virtualConsole.sendTo(console);
+      }
+      virtualConsole.on('jsdomError', error => scriptErrors.push(error));
+
+      let setupError;
+      const jsdomConfig = {
+        html: options.html || '',
+        src: mocksCode.concat(options.scripts || [], bundlesCode),
+        virtualConsole,
+        // scripts of the page are passed as `src`, they aren't loaded by JSDom
+        features: { FetchExternalResources: false, ProcessExternalResources: false },
+        created: (err, window) => {
+          if (err || !configs.jsdomSetup) return;
+
+          try {
+            if (typeof configs.jsdomSetup === 'function') {
+              configs.jsdomSetup(window);
+            } else {
+              Object.assign(window, configs.jsdomSetup);
+            }
+          } catch (e) {
+            setupError = e;
+          }
+        },
+        done: (err, window) => {
+          if (err) return reject(err.response ? err.response.body : err);
+          if (setupError) return reject(new Error(`Error in jsdomSetup: ${setupError.message}`));
+          return resolve({ window, scriptErrors });
+        },
+      };
+
+      if (options.url) {
+        jsdomConfig.url = options.url;
+      }
+      if (options.userAgent) {
+        jsdomConfig.userAgent = options.userAgent;
+      }
+
+      return jsdom.env(jsdomConfig);
+    });
+  }
+
   /**
    * @param {object} json
    * @param {array<string>} supportedStorybookApps
@@ -448,11 +918,14 @@ class EyesStorybookUtils {
       return { app: 'react', version: 2 };
     }
 
-    const version = undefined;
     for (let i = 0, l = supportedStorybookApps.length; i < l; i += 1) {
       const app = supportedStorybookApps[i];
+      const versionRange = dependencies[`@storybook/${app}`] || devDependencies[`@storybook/${app}`];
 
-      if (dependencies[`@storybook/${app}`] || devDependencies[`@storybook/${app}`]) {
+      if (versionRange) {
+        // the installed version is more accurate, the range from package.json can be e.g. `^3.4.0`, `next` or `*`
+        const installedVersion = getInstalledPackageVersion(`@storybook/${app}`);
+        const version = getMajorVersion(installedVersion) || getMajorVersion(versionRange);
         return { app, version };
       }
     }
@@ -460,6 +933,102 @@ class EyesStorybookUtils {
     throw new Error('Storybook module not found in package.json!');
   }
 
+  /**
+   * Storybook 4+ exposes its client API to window object, in older versions stories should be exported manually.
+   *
+   * @param {object} configs
+   * @return {boolean}
+   */
+  static isStoriesExportRequired(configs) {
+    return !(configs.storybookVersion >= 4);
+  }
+
+  /**
+   * Prepares Storybook's config directory which exports stories to window object. The user's config directory is
+   * never changed, instead a temporary directory is generated. Its `config.js` requires the original config file and
+   * adds the export, other files are required or copied from the original directory. If `changedSince` is set,
+   * `webpack.config.js` of the directory also writes webpack stats.
+   *
+   * @param {Logger} logger
+   * @param {object} configs
+   * @return {string} Path to the directory which should be passed to Storybook
+   */
+  static createConfigDir(logger, configs) {
+    const originalConfigDir = path.resolve(process.cwd(), configs.storybookConfigDir);
+    let isExportRequired = EyesStorybookUtils.isStoriesExportRequired(configs);
+    if (!isExportRequired && !configs.changedSince) {
+      return originalConfigDir;
+    }
+
+    const originalConfigPath = path.resolve(originalConfigDir, 'config.js');
+    if (!fs.existsSync(originalConfigPath)) {
+      throw new Error(`Storybook config file not found: ${originalConfigPath}`);
+    }
+
+    if (isExportRequired && EyesStorybookUtils.readFile(originalConfigPath).includes('__storybook_stories__')) {
+      logger.verbose('Storybook\'s config file already exports stories.');
+      isExportRequired = false;
+      if (!configs.changedSince) {
+        return originalConfigDir;
+      }
+    }
+
+    removeStaleConfigDirs(logger);
+
+    const configDir = path.resolve(process.cwd(), CACHE_DIR, `${CONFIG_DIR_PREFIX}${process.pid}`);
+    logger.verbose(`Generating Storybook configuration in ${configDir}...`);
+    makeDirectory(configDir);
+
+    fs.readdirSync(originalConfigDir).forEach(fileName => {
+      const originalFilePath = path.resolve(originalConfigDir, fileName);
+      const filePath = path.resolve(configDir, fileName);
+      if (!fs.statSync(originalFilePath).isFile()) {
+        return;
+      }
+
+      if (fileName === 'config.js') {
+        const configBody = `require(${JSON.stringify(originalFilePath)});`;
+        EyesStorybookUtils.writeFile(filePath, isExportRequired ?
+          EyesStorybookUtils.updateStorybookConfig(configs, configBody) : `${configBody}\n`);
+      } else if (fileName === 'webpack.config.js' && configs.changedSince) {
+        EyesStorybookUtils.writeFile(filePath, EyesStorybookUtils.createWebpackConfig(configs, originalFilePath));
+      } else if (fileName.endsWith('.js')) {
+        // files like addons.js or webpack.config.js are required from original location, so relative paths still work
+        EyesStorybookUtils.writeFile(filePath, `module.exports = require(${JSON.stringify(originalFilePath)});\n`);
+      } else {
+        fs.writeFileSync(filePath, fs.readFileSync(originalFilePath));
+      }
+    });
+
+    const webpackConfigPath = path.resolve(configDir, 'webpack.config.js');
+    if (configs.changedSince && !fs.existsSync(webpackConfigPath)) {
+      EyesStorybookUtils.writeFile(webpackConfigPath, EyesStorybookUtils.createWebpackConfig(configs));
+    }
+
+    logger.verbose('Storybook configuration was generated.');
+    return configDir;
+  }
+
+  /**
+   * Removes the directory generated by {@link EyesStorybookUtils.createConfigDir}, the user's directory is kept.
+   *
+   * @param {Logger} logger
+   * @param {object} configs
+   * @param {string} configDir
+   */
+  static removeConfigDir(logger, configs, configDir) {
+    if (configDir === path.resolve(process.cwd(), configs.storybookConfigDir)) {
+      return;
+    }
+
+    try {
+      removeDirectory(configDir);
+      logger.verbose('Generated Storybook configuration was removed.');
+    } catch (e) {
+      logger.verbose('Can\'t remove generated Storybook configuration.', e);
+    }
+  }
+
   /**
    * @param {string} filePath
    */
@@ -475,6 +1044,15 @@ class EyesStorybookUtils {
     fs.writeFileSync(filePath, fileBody, { encoding: 'utf8' });
   }
 
+  /**
+   * Creates the directory and its parents, if they don't exist.
+   *
+   * @param {string} dirPath
+   */
+  static makeDirectory(dirPath) {
+    makeDirectory(dirPath);
+  }
+
   /**
    * @param {object} configs
    * @param {string} configBody
@@ -490,6 +1068,105 @@ class EyesStorybookUtils {
     return template.replace('${configBody}', configBody).replace('${app}', configs.storybookApp);
   }
 
+  /**
+   * @param {object} configs
+   * @param {string} [customConfigPath] Path to the user's webpack config, which should be extended
+   * @return {string} Webpack config which writes webpack stats to {@link EyesStorybookUtils.getWebpackStatsPath}
+   */
+  static createWebpackConfig(configs, customConfigPath) {
+    const customConfig = customConfigPath ?
+      `(m => (m && m.__esModule ? m.default : m))(require(${JSON.stringify(customConfigPath)}))` : 'undefined';
+    const template = EyesStorybookUtils.readFile(`${__dirname}/configTemplates/webpack.config.js`);
+    /* eslint-disable no-template-curly-in-string */
+    return template
+      .replace('${statsFilePath}', () => JSON.stringify(EyesStorybookUtils.getWebpackStatsPath(configs)))
+      .replace('${customConfig}', () => customConfig);
+    /* eslint-enable no-template-curly-in-string */
+  }
+
+  /**
+   * Webpack stats are stored along with the build, or in the generated config directory when Storybook is started.
+   *
+   * @param {object} configs
+   * @return {string}
+   */
+  static getWebpackStatsPath(configs) {
+    if (EyesStorybookUtils.isLocalMode(configs)) {
+      return path.resolve(process.cwd(), CACHE_DIR, `${CONFIG_DIR_PREFIX}${process.pid}`, WEBPACK_STATS_FILE);
+    }
+
+    return path.resolve(process.cwd(), configs.storybookOutputDir, WEBPACK_STATS_FILE);
+  }
+
+  /**
+   * Converts a glob (`*` matches any sequence of characters, `?` matches a single character) or a regular expression
+   * written as `/pattern/flags` to RegExp object.
+   *
+   * @param {string|RegExp} pattern
+   * @return {RegExp}
+   */
+  static patternToRegExp(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern;
+    }
+
+    const regExpMatch = /^\/(.+)\/([imu]*)$/.exec(pattern);
+    if (regExpMatch) {
+      return new RegExp(regExpMatch[1], regExpMatch[2]);
+    }
+
+    const source = String(pattern)
+      .replace(/[-[\]{}()+.,\\^$|#\s]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * @param {string|{index: number, total: number}} value Shard in format `index/total` (1-based), e.g. `3/8`
+   * @return {{index: number, total: number}}
+   */
+  static parseShard(value) {
+    let shard = value;
+    if (typeof value === 'string') {
+      const shardMatch = /^(\d+)\/(\d+)$/.exec(value.trim());
+      shard = shardMatch ? { index: Number(shardMatch[1]), total: Number(shardMatch[2]) } : {};
+    }
+
+    if (!(Number.isInteger(shard.index) && Number.isInteger(shard.total) && shard.index >= 1 &&
+      shard.index <= shard.total)) {
+      throw new Error(`Invalid shard ${JSON.stringify(value)}, it should be e.g. "3/8" or { index: 3, total: 8 }.`);
+    }
+
+    return { index: shard.index, total: shard.total };
+  }
+
+  /**
+   * @return {string} Id of the current CI build, which is the same for all its parallel jobs, or null if not found
+   */
+  static getCiBuildId() {
+    const variableName = CI_BUILD_ID_VARIABLES.find(name => process.env[name]);
+    return variableName ? `${variableName}-${process.env[variableName]}` : null;
+  }
+
+  /**
+   * Adds shard's suffix to the file name, e.g. `eyes.tap` to `eyes.shard-3-of-8.tap`, so the files of all shards can
+   * be collected together.
+   *
+   * @param {object} configs
+   * @param {string} filePath
+   * @return {string}
+   */
+  static getShardFilePath(configs, filePath) {
+    if (!configs.shard) {
+      return filePath;
+    }
+
+    const extension = path.extname(filePath);
+    const suffix = `.shard-${configs.shard.index}-of-${configs.shard.total}`;
+    return `${filePath.substr(0, filePath.length - extension.length)}${suffix}${extension}`;
+  }
+
   static windowWidth() {
     const maxWidth = 100;
     if (typeof process === 'object' && process.stdout && process.stdout.columns) {
@@ -528,4 +1205,7 @@ class EyesStorybookUtils {
   }
 }
 
+/** Browsers which can be used by the Visual Grid, checked for both the config and story parameters */
+EyesStorybookUtils.SUPPORTED_VISUALGRID_BROWSERS = SUPPORTED_VISUALGRID_BROWSERS;
+
 exports.EyesStorybookUtils = EyesStorybookUtils;
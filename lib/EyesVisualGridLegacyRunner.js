@@ -1,12 +1,7 @@
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
-const mime = require('mime-types');
-
 const {
   BatchInfo,
-  RGridResource,
   RGridDom,
   ConsoleLogHandler,
   GeneralUtils,
@@ -16,52 +11,9 @@ const {
 
 const { EyesStorybook } = require('./EyesStorybook');
 const { EyesStorybookUtils } = require('./EyesStorybookUtils');
-
-/**
- * @param {string} resourcePath
- * @return {boolean}
- */
-const filterResources = resourcePath => resourcePath === 'index.html' || resourcePath.endsWith('.map');
-
-/**
- * @param {string} outputDir
- * @param {PromiseFactory} promiseFactory
- * @return {Promise<Map<string, RGridResource>>}
- */
-const readResources = (outputDir, promiseFactory) => {
-  const resources = new Map();
-  const promises = [];
-
-  const storeResource = (fullPath, localPath, fileName) => promiseFactory.makePromise((resolve, reject) => {
-    fs.readFile(fullPath, (err, data) => {
-      if (err) return reject(err);
-
-      const resource = new RGridResource();
-      resource.setUrl(`http://localhost/${localPath}`);
-      resource.setContentType(mime.lookup(fileName));
-      resource.setContent(data);
-      resources.set(localPath, resource);
-      return resolve();
-    });
-  });
-
-  const readResourcesRecursive = (fullPathToDir, localPathToDir) => {
-    fs.readdirSync(fullPathToDir).forEach(fileName => {
-      const fullPath = path.join(fullPathToDir, fileName);
-      const localPath = localPathToDir ? `${localPathToDir}/${fileName}` : fileName;
-
-      if (fs.statSync(fullPath).isDirectory()) {
-        readResourcesRecursive(fullPath, localPath);
-      } else if (!filterResources(localPath)) {
-        promises.push(storeResource(fullPath, localPath, fileName));
-      }
-    });
-  };
-
-  readResourcesRecursive(outputDir);
-
-  return promiseFactory.all(promises).then(() => resources);
-};
+const { EyesResourceUtils } = require('./EyesResourceUtils');
+const { EyesRegionUtils } = require('./EyesRegionUtils');
+const { EyesStabilizeUtils } = require('./EyesStabilizeUtils');
 
 class EyesVisualGridRunner {
   constructor(logger, promiseFactory, configs) {
@@ -72,13 +24,22 @@ class EyesVisualGridRunner {
     /** @type {object} */
     this._configs = configs;
 
-    this._testBatch = new BatchInfo(configs.appName);
+    this._testBatch = new BatchInfo(configs.appName, undefined, configs.batchId);
     this._rGridDom = new RGridDom();
     this._renderInfo = undefined;
 
     this._totalStories = undefined;
     this._doneStories = undefined;
     this._spinner = undefined;
+    /** @type {{message: string, items: string[]}[]} */
+    this._resourceWarnings = [];
+  }
+
+  /**
+   * @return {{message: string, items: string[]}[]} Lists of resources which are not uploaded to VisualGrid
+   */
+  getResourceWarnings() {
+    return this._resourceWarnings;
   }
 
   /**
@@ -87,6 +48,14 @@ class EyesVisualGridRunner {
    * @returns {Promise<TestResults[]>}
    */
   testStories(stories, spinner) {
+    // selectors are resolved by VisualGrid in render requests, which are not supported by this runner
+    const storyWithSelectors = stories.find(story =>
+      EyesRegionUtils.getSelectors(EyesRegionUtils.getMatchSettings(story, this._configs)).length > 0);
+    if (storyWithSelectors) {
+      return this._promiseFactory.reject(new Error(`Story ${storyWithSelectors.toString()} has regions with ` +
+        'selectors, they are not supported by `--legacy` runner, use coordinates of the regions instead.'));
+    }
+
     const elapsedTimeStart = GeneralUtils.currentTimeMillis();
     this._logger.log('Splitting stories for multiple parts...');
 
@@ -127,16 +96,30 @@ class EyesVisualGridRunner {
     let firstStoryPromise;
 
     that._logger.log('Collecting resources...');
-    return readResources(that._configs.storybookOutputDir, that._promiseFactory)
+    return EyesResourceUtils.readResources(that._logger, that._promiseFactory, that._configs, that._resourceWarnings)
+      .then(resources => EyesResourceUtils
+        .readExternalResources(that._logger, that._promiseFactory, that._configs, resources, that._resourceWarnings)
+        .then(externalResources => {
+          externalResources.forEach((resource, resourceUrl) => resources.set(resourceUrl, resource));
+          return resources;
+        }))
       .then(resources => {
         that._logger.log('Resources were collected.');
 
         that._logger.log('Preparing DOM...');
         const iframeResource = resources.get('iframe.html');
+        let iframeHtml = iframeResource.getContent().toString();
         resources.delete('iframe.html');
+
+        const stabilizeOptions = EyesStabilizeUtils.getOptions(that._configs);
+        if (stabilizeOptions) {
+          iframeHtml = EyesStabilizeUtils.addScriptToHtml(iframeHtml);
+          const stabilizeResource = EyesStabilizeUtils.createResource(stabilizeOptions);
+          resources.set(stabilizeResource.getUrl(), stabilizeResource);
+        }
         that._rGridDom.setResources(Array.from(resources.values()));
 
-        return EyesStorybookUtils.getDocumentFromHtml(that._promiseFactory, iframeResource.getContent());
+        return EyesStorybookUtils.getDocumentFromHtml(that._promiseFactory, iframeHtml);
       })
       .then(document => {
         const nodes = document.querySelectorAll('*');
@@ -201,7 +184,7 @@ class EyesVisualGridRunner {
         eyes.addProperty('Component name', story.getComponentName());
         eyes.addProperty('State', story.getState());
         eyes.setHostOS('Linux');
-        eyes.setHostApp(that._configs.capabilities.browserName);
+        eyes.setHostApp(story.getBrowserName());
         if (that._configs.showEyesSdkLogs) {
           eyes.setLogHandler(new ConsoleLogHandler(that._configs.showEyesSdkLogs === 'verbose'));
         }
@@ -209,11 +192,11 @@ class EyesVisualGridRunner {
         that._logger.verbose(`[${i}] Sending Rendering requests...`);
         const renderRequest = new RenderRequest(
           that._renderInfo.getResultsUrl(),
-          story.getStoryUrl('http://localhost/'),
+          story.getStoryUrl('http://localhost/', that._configs),
           that._rGridDom,
           RenderInfo.fromRectangleSize(story.getViewportSize()),
           that._configs.capabilities.platform,
-          that._configs.capabilities.browserName
+          story.getBrowserName()
         );
 
         return eyes.renderWindow(renderRequest, that._renderInfo);
@@ -227,7 +210,14 @@ class EyesVisualGridRunner {
         that._logger.verbose(`[${i}] Preforming screenshot validation...`);
         return eyes.open(that._configs.appName, story.getCompoundTitle(), story.getViewportSize());
       })
-      .then(() => eyes.checkUrl(imageUrl, story.getCompoundTitle()))
+      .then(() => {
+        // stories with selectors of regions are rejected by `testStories`, only regions with coordinates are used
+        const matchSettings = EyesRegionUtils.resolveRegions(
+          EyesRegionUtils.getMatchSettings(story, that._configs),
+          new Map()
+        );
+        return eyes.checkUrl(imageUrl, story.getCompoundTitle(), matchSettings);
+      })
       .then(testResults => {
         that._logger.verbose(`[${i}] Screenshot was validated.`);
         that._logger.log(`[${i}] Story ${story.toString()} was processed.`);
@@ -1,12 +1,7 @@
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
-const mime = require('mime-types');
-
 const {
   BatchInfo,
-  RGridResource,
   RGridDom,
   ConsoleLogHandler,
   GeneralUtils,
@@ -16,94 +11,97 @@ const {
 
 const { EyesStorybook } = require('./EyesStorybook');
 const { EyesStorybookUtils } = require('./EyesStorybookUtils');
+const { EyesResourceUtils } = require('./EyesResourceUtils');
 const { EyesStorybookRenderRequest } = require('./EyesStorybookRenderRequest');
-
-const RETRY_REQUEST_INTERVAL = 500; // ms
-
-/**
- * @param {string} resourcePath
- * @return {boolean}
- */
-const filterResources = resourcePath => (resourcePath === 'index.html' || resourcePath.endsWith('.map'));
+const { EyesResourceCache } = require('./EyesResourceCache');
+const { EyesDomSnapshotUtils } = require('./EyesDomSnapshotUtils');
+const { EyesRegionUtils } = require('./EyesRegionUtils');
+const { EyesStabilizeUtils } = require('./EyesStabilizeUtils');
+
+const RENDER_POLLING_INTERVAL = 500; // ms
+const MAX_RENDER_POLLING_INTERVAL = 5000; // ms
+const RENDER_POLLING_BACKOFF_FACTOR = 1.5;
+const MAX_RESOURCE_UPLOADS = 3; // per render request
+const HOST_APPS = {
+  ie10: 'IE 10',
+  ie11: 'IE 11',
+};
 
 /**
- * @param {string} platform
- * @return {string}
+ * @param {Array} items
+ * @param {number} size Size of chunks, 0 means one chunk with all items
+ * @return {Array[]}
  */
-const getHostOSFromPlatform = platform => (platform && platform !== 'any' ? platform : 'Linux');
+const splitToChunks = (items, size) => {
+  if (!size) {
+    return items.length ? [items] : [];
+  }
 
-/**
- * @param {string} browserName
- * @return {string}
- */
-const getHostAppFromBrowserName = browserName => (browserName.charAt(0).toUpperCase() + browserName.slice(1));
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
 
 /**
- * @param {string} outputDir
+ * Creates a function which runs tasks, but not more than `limit` of them at the same time.
+ *
  * @param {PromiseFactory} promiseFactory
- * @return {Promise<Map<string, RGridResource>>}
+ * @param {number} limit 0 means not limited
+ * @return {function(function(): Promise): Promise} Receives the task and resolves with its result
  */
-const readResources = (outputDir, promiseFactory) => {
-  const resources = new Map();
-  const promises = [];
-
-  const storeResource = (fullPath, localPath, fileName) => promiseFactory.makePromise((resolve, reject) => {
-    fs.readFile(fullPath, (err, data) => {
-      if (err) return reject(err);
-
-      const resource = new RGridResource();
-      resource.setUrl(`http://localhost/${localPath}`);
-      resource.setContentType(mime.lookup(fileName));
-      resource.setContent(data);
-      resources.set(localPath, resource);
-      return resolve();
-    });
-  });
+const createConcurrencyLimiter = (promiseFactory, limit) => {
+  const queue = [];
+  let runningTasks = 0;
 
-  const readResourcesRecursive = (fullPathToDir, localPathToDir) => {
-    fs.readdirSync(fullPathToDir).forEach(fileName => {
-      const fullPath = path.join(fullPathToDir, fileName);
-      const localPath = localPathToDir ? `${localPathToDir}/${fileName}` : fileName;
+  const runNext = () => {
+    if (!queue.length || (limit && runningTasks >= limit)) {
+      return;
+    }
 
-      if (fs.statSync(fullPath).isDirectory()) {
-        readResourcesRecursive(fullPath, localPath);
-      } else if (!filterResources(localPath)) {
-        promises.push(storeResource(fullPath, localPath, fileName));
-      }
-    });
+    const { task, resolve, reject } = queue.shift();
+    runningTasks += 1;
+    promiseFactory.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .then(() => {
+        runningTasks -= 1;
+        runNext();
+      });
   };
 
-  readResourcesRecursive(outputDir);
-
-  return promiseFactory.all(promises).then(() => resources);
+  return task => promiseFactory.makePromise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    runNext();
+  });
 };
 
 /**
- * @param {EyesStorybook} eyes
- * @param {string[]} renderIds
- * @param {function<string, string>} onCompleteAction
- * @return {Promise<string[]>}
+ * @param {string} platform
+ * @param {object} [emulation] The OS of the emulated device is reported instead of the platform
+ * @return {string}
  */
-const processRendersRecursive = (eyes, renderIds, onCompleteAction) => {
-  const renderingRenders = [];
-  return eyes.getRenderStatusBatch(renderIds).then(renderStatusResults => {
-    Array.from(renderStatusResults).forEach((renderStatusResult, i) => {
-      if (renderStatusResult.isEmpty() || renderStatusResult.getStatus() === RenderStatus.RENDERING) {
-        renderingRenders.push(renderIds[i]);
-      } else if (renderStatusResult.getStatus() === RenderStatus.RENDERED) {
-        onCompleteAction(renderIds[i], renderStatusResult.getImageLocation());
-      } else {
-        throw new Error(`Error during rendering, renderId ${renderIds[i]}`);
-      }
-    });
+const getHostOSFromPlatform = (platform, emulation) => {
+  if (emulation && emulation.os) {
+    return emulation.os;
+  }
+  return platform && platform !== 'any' ? platform : 'Linux';
+};
 
-    if (renderingRenders.length) {
-      return GeneralUtils.sleep(RETRY_REQUEST_INTERVAL, eyes.getPromiseFactory())
-        .then(() => processRendersRecursive(eyes, renderingRenders, onCompleteAction));
-    }
+/**
+ * @param {string} browserName
+ * @param {object} [emulation] The name of the emulation is added, so emulated renders have their own baselines
+ * @param {string} [browserLabel] The label from `browsers` matrix, it is used as is
+ * @return {string}
+ */
+const getHostAppFromBrowserName = (browserName, emulation, browserLabel) => {
+  if (browserLabel) {
+    return browserLabel;
+  }
 
-    return null;
-  });
+  const hostApp = HOST_APPS[browserName] || (browserName.charAt(0).toUpperCase() + browserName.slice(1));
+  return emulation ? `${hostApp} (${emulation.name})` : hostApp;
 };
 
 class EyesVisualGridRunner {
@@ -115,13 +113,33 @@ class EyesVisualGridRunner {
     /** @type {object} */
     this._configs = configs;
 
-    this._testBatch = new BatchInfo(configs.appName);
+    this._testBatch = new BatchInfo(configs.appName, undefined, configs.batchId);
     this._rGridDom = new RGridDom();
     this._renderInfo = undefined;
+    /** @type {EyesResourceCache} */
+    this._resourceCache = undefined;
 
     this._totalStories = undefined;
     this._doneStories = undefined;
     this._spinner = undefined;
+    /** @type {{story: EyesStorybookStory, message: string}[]} */
+    this._storyErrors = [];
+    /** @type {{message: string, items: string[]}[]} */
+    this._resourceWarnings = [];
+  }
+
+  /**
+   * @return {{story: EyesStorybookStory, message: string}[]} Stories which were not tested because of errors
+   */
+  getStoryErrors() {
+    return this._storyErrors;
+  }
+
+  /**
+   * @return {{message: string, items: string[]}[]} Lists of resources which are not uploaded to VisualGrid
+   */
+  getResourceWarnings() {
+    return this._resourceWarnings;
   }
 
   /**
@@ -136,13 +154,15 @@ class EyesVisualGridRunner {
     this._doneStories = 0;
     this._spinner = spinner;
 
-    // const maxThreads = this._configs.maxConcurrency;
-
     this._logger.log(`Testing stories, total stories: ${this._totalStories}.`);
 
     const that = this;
     const storiesPromises = [];
-    const renderIdRenderRequestsMap = new Map();
+    let iframeHtml;
+    let snapshots;
+    /** @type {Map<string, string>} */
+    const snapshotErrors = new Map();
+    const limitMatches = createConcurrencyLimiter(that._promiseFactory, that._configs.maxConcurrency);
 
     const eyes = new EyesStorybook(that._configs, that._promiseFactory);
     if (that._configs.showEyesSdkLogs) {
@@ -150,22 +170,56 @@ class EyesVisualGridRunner {
     }
 
     that._logger.log('Collecting resources...');
-    return readResources(that._configs.storybookOutputDir, that._promiseFactory)
+    return EyesResourceUtils.readResources(that._logger, that._promiseFactory, that._configs, that._resourceWarnings)
+      .then(resources => EyesResourceUtils
+        .readExternalResources(that._logger, that._promiseFactory, that._configs, resources, that._resourceWarnings)
+        .then(externalResources => {
+          externalResources.forEach((resource, resourceUrl) => resources.set(resourceUrl, resource));
+          return resources;
+        }))
       .then(resources => {
         that._logger.log('Resources were collected.');
 
         that._logger.log('Preparing DOM...');
         const iframeResource = resources.get('iframe.html');
+        iframeHtml = iframeResource.getContent().toString();
         resources.delete('iframe.html');
+
+        const stabilizeOptions = EyesStabilizeUtils.getOptions(that._configs);
+        if (stabilizeOptions) {
+          that._logger.verbose('Adding script which freezes animations, clock and random numbers...');
+          iframeHtml = EyesStabilizeUtils.addScriptToHtml(iframeHtml);
+          const stabilizeResource = EyesStabilizeUtils.createResource(stabilizeOptions);
+          resources.set(stabilizeResource.getUrl(), stabilizeResource);
+        }
         that._rGridDom.setResources(Array.from(resources.values()));
 
-        return EyesStorybookUtils.getDocumentFromHtml(that._promiseFactory, iframeResource.getContent());
+        return EyesStorybookUtils.getDocumentFromHtml(that._promiseFactory, iframeHtml);
       })
       .then(document => {
         const nodes = document.querySelectorAll('*');
         that._rGridDom.setDomNodes(EyesStorybookUtils.domNodesToCdt(Array.from(nodes).slice(0, 1)));
         that._logger.log('DOM was prepared and cached.');
       })
+      .then(() => {
+        if (!that._configs.useDomSnapshots) {
+          return null;
+        }
+
+        that._logger.log('Creating DOM snapshots of stories...');
+        return EyesDomSnapshotUtils
+          .createSnapshots(that._logger, that._promiseFactory, that._configs, iframeHtml, stories, snapshotErrors)
+          .then(domNodesByTitle => {
+            snapshots = new Map();
+            domNodesByTitle.forEach((domNodes, title) => {
+              const rGridDom = new RGridDom();
+              rGridDom.setResources(that._rGridDom.getResources());
+              rGridDom.setDomNodes(domNodes);
+              snapshots.set(title, rGridDom);
+            });
+            that._logger.log(`${snapshots.size} DOM snapshots were created.`);
+          });
+      })
       .then(() => {
         that._logger.log('Requesting RenderingInfo from server...');
         return eyes.getRenderingInfo()
@@ -176,60 +230,244 @@ class EyesVisualGridRunner {
           });
       })
       .then(() => {
+        let checkedDom = that._rGridDom;
+        if (that._configs.resourceCache) {
+          that._resourceCache = new EyesResourceCache(that._logger, that._configs, that._renderInfo.getServiceUrl());
+          that._resourceCache.load();
+
+          // resources known from previous runs are not checked, the DOM is sent later with the first renders
+          const unknownResources = that._resourceCache.filterUnknown(that._rGridDom.getResources());
+          that._logger.log(`Resource cache: ${that._resourceCache.getStatsString()}.`);
+          if (!unknownResources.length) {
+            that._logger.verbose('All resources are known to VisualGrid.');
+            return null;
+          }
+
+          checkedDom = new RGridDom();
+          checkedDom.setDomNodes(that._rGridDom.getDomNodes());
+          checkedDom.setResources(unknownResources);
+        }
+
         that._logger.verbose('Sending resources and DOM to VisualGrid...');
-        const renderRequest = new RenderRequest(that._renderInfo.getResultsUrl(), 'http://localhost/', that._rGridDom);
+        const renderRequest = new RenderRequest(that._renderInfo.getResultsUrl(), 'http://localhost/', checkedDom);
         return eyes.checkAndPutResources(renderRequest).then(() => {
           that._logger.verbose('Resources and DOM were sent.');
+          if (that._resourceCache) {
+            that._resourceCache.add(checkedDom.getResources());
+            that._resourceCache.save();
+          }
         });
       })
       .then(() => {
-        that._logger.verbose('Sending render request to VisualGrid...');
-
-        const renderRequests = [];
-        that._configs.capabilities.browserName.forEach(browserName => {
-          stories.forEach(story => {
-            renderRequests.push(new EyesStorybookRenderRequest(
-              that._renderInfo.getResultsUrl(),
-              story,
-              that._rGridDom,
-              that._configs.capabilities.platform,
-              browserName
-            ));
-          });
+        // stories which are not rendered in JSDom are not sent, instead of sending DOM of another story
+        const renderedStories = stories.filter(story => {
+          const snapshotError = snapshotErrors.get(story.getCompoundTitle());
+          if (snapshotError) {
+            that.onStoryError(story, `DOM snapshot can't be created, ${snapshotError}`);
+            return false;
+          }
+          return true;
+        });
+
+        const renderRequests = renderedStories.map(story => new EyesStorybookRenderRequest(
+          that._renderInfo.getResultsUrl(),
+          story,
+          story.getStoryUrl('http://localhost/', that._configs),
+          snapshots ? snapshots.get(story.getCompoundTitle()) : that._rGridDom,
+          that._configs.capabilities.platform,
+          story.getBrowserName(),
+          story.getParameter('captureSelector', that._configs.captureSelector),
+          EyesRegionUtils.getSelectors(EyesRegionUtils.getMatchSettings(story, that._configs))
+        ));
+
+        that._logger.log(`Rendering ${renderRequests.length} stories...`);
+        return that.renderStories(eyes, renderRequests, (renderRequest, imageLocation, selectorRegions) => {
+          storiesPromises.push(limitMatches(() => that.testStory(renderRequest, imageLocation, selectorRegions)));
         });
+      })
+      .then(() => {
+        const elapsedTime = GeneralUtils.currentTimeMillis() - elapsedTimeStart;
+        that._logger.log(`All stories were processed. Elapsed time ${GeneralUtils.elapsedString(elapsedTime)}`);
+        return that._promiseFactory.all(storiesPromises);
+      })
+      .then(results => results.filter(Boolean));
+  }
+
+  /**
+   * Submits renders in batches of `renderBatchSize`, keeping at most `renderConcurrency` of them in progress, and polls
+   * their statuses until all of them are finished or `renderTimeout` is exceeded. Failed renders are submitted again
+   * up to `renderRetries` times, then they are reported as errors of their stories. Missing resources of a render are
+   * uploaded at most `MAX_RESOURCE_UPLOADS` times.
+   *
+   * @private
+   * @param {EyesStorybook} eyes
+   * @param {EyesStorybookRenderRequest[]} renderRequests
+   * @param {function(EyesStorybookRenderRequest, string, Array)} onRendered Receives the request, the image location
+   *   and regions of the request's selectors
+   * @return {Promise<void>}
+   */
+  renderStories(eyes, renderRequests, onRendered) {
+    const that = this;
+    const { renderTimeout, renderRetries, renderBatchSize, renderConcurrency } = that._configs;
+    const deadline = GeneralUtils.currentTimeMillis() + renderTimeout;
+    const attempts = new Map();
+    const resourceUploads = new Map();
+    const pendingRequests = renderRequests.slice();
+    /** @type {Map<string, EyesStorybookRenderRequest>} */
+    const renders = new Map();
+
+    const onFailure = (renderRequest, message) => {
+      const story = renderRequest.getStory();
+      if (attempts.get(renderRequest) > renderRetries) {
+        that.onStoryError(story, message);
+        return;
+      }
 
-        that._logger.log(`Sending request with ${renderRequests.length} renders...`);
-        return eyes.postRenderBatch(renderRequests).then(runningRenders => {
-          that._logger.verbose('Render request sent. Processing results...');
+      that._logger.log(`Render of ${story.toString()} failed (${message}), submitting it again...`);
+      pendingRequests.push(renderRequest);
+    };
 
+    const submitBatch = requests => {
+      requests.forEach(renderRequest => attempts.set(renderRequest, (attempts.get(renderRequest) || 0) + 1));
+      that._logger.verbose(`Sending request with ${requests.length} renders...`);
+      return eyes.postRenderBatch(requests)
+        .then(runningRenders => {
+          const missingResources = [];
           Array.from(runningRenders).forEach((runningRender, i) => {
-            if ([RenderStatus.RENDERING, RenderStatus.RENDERED].includes(runningRender.getRenderStatus())) {
-              renderIdRenderRequestsMap.set(runningRender.getRenderId(), renderRequests[i]);
+            const status = runningRender.getRenderStatus();
+            if ([RenderStatus.RENDERING, RenderStatus.RENDERED].includes(status)) {
+              renders.set(runningRender.getRenderId(), requests[i]);
+            } else if (status === RenderStatus.NEED_MORE_RESOURCES) {
+              const uploads = (resourceUploads.get(requests[i]) || 0) + 1;
+              resourceUploads.set(requests[i], uploads);
+              if (uploads > MAX_RESOURCE_UPLOADS) {
+                const resourcesCount = (runningRender.getNeedMoreResources() || []).length;
+                that.onStoryError(requests[i].getStory(), 'render is not started, VisualGrid still needs ' +
+                  `${resourcesCount} resources after ${MAX_RESOURCE_UPLOADS} uploads`);
+              } else {
+                missingResources.push({ renderRequest: requests[i], runningRender });
+              }
             } else {
-              throw new Error('An error during rendering, one of renders is not started.');
+              onFailure(requests[i], `render is not started, status is ${status}`);
             }
           });
 
-          that._logger.verbose('Render request results processed.');
+          if (!missingResources.length) {
+            return null;
+          }
+
+          // all stories share the same resources, so they are uploaded once, then only DOM snapshots of other stories
+          // are uploaded, and the renders are submitted again
+          that._logger.verbose(`VisualGrid needs resources for ${missingResources.length} renders, sending them...`);
+          const { renderRequest: firstRequest, runningRender } = missingResources[0];
+          const uploadedDoms = new Set([firstRequest.getDom()]);
+          return eyes.putResources(firstRequest.getDom(), runningRender).then(() => {
+            if (that._resourceCache && runningRender.getNeedMoreResources()) {
+              // the service doesn't have resources which were cached, e.g. they are expired there
+              const uploadedResources = that._rGridDom.getResources()
+                .filter(resource => runningRender.getNeedMoreResources().includes(resource.getUrl()));
+              that._resourceCache.add(uploadedResources);
+              that._resourceCache.save();
+            }
+
+            return that._promiseFactory.all(missingResources.map(missingResource => {
+              const dom = missingResource.renderRequest.getDom();
+              if (uploadedDoms.has(dom) || !missingResource.runningRender.getNeedMoreDom()) {
+                return null;
+              }
+
+              uploadedDoms.add(dom);
+              return eyes.putDom(dom, missingResource.runningRender);
+            }));
+          }).then(() => {
+            missingResources.forEach(({ renderRequest }) => {
+              attempts.set(renderRequest, attempts.get(renderRequest) - 1);
+              pendingRequests.unshift(renderRequest);
+            });
+          }, err => {
+            missingResources.forEach(({ renderRequest }) => {
+              onFailure(renderRequest, `resources are not uploaded, ${err.message || err}`);
+            });
+          });
+        }, err => {
+          requests.forEach(renderRequest => onFailure(renderRequest, err.message || String(err)));
         });
-      })
-      .then(() => processRendersRecursive(eyes, [...renderIdRenderRequestsMap.keys()], (renderId, imageLocation) => {
-        storiesPromises.push(that.testStory(renderIdRenderRequestsMap.get(renderId), imageLocation));
-      }))
-      .then(() => {
-        const elapsedTime = GeneralUtils.currentTimeMillis() - elapsedTimeStart;
-        that._logger.log(`All stories were processed. Elapsed time ${GeneralUtils.elapsedString(elapsedTime)}`);
-        return that._promiseFactory.all(storiesPromises);
+    };
+
+    const submitPendingRequests = () => {
+      const limit = renderConcurrency ? Math.max(renderConcurrency - renders.size, 0) : pendingRequests.length;
+      const batches = splitToChunks(pendingRequests.splice(0, limit), renderBatchSize);
+      return batches.reduce((promise, batch) => promise.then(() => submitBatch(batch)), that._promiseFactory.resolve());
+    };
+
+    /**
+     * @return {Promise<number>} Number of finished renders
+     */
+    const pollRenders = () => {
+      let finishedRenders = 0;
+      const batches = splitToChunks(Array.from(renders.keys()), renderBatchSize);
+      return batches.reduce((promise, renderIds) => promise
+        .then(() => eyes.getRenderStatusBatch(
+          renderIds,
+          renderIds.some(renderId => renders.get(renderId).getSelectorsToFindRegionsFor().length > 0)
+        ))
+        .then(renderStatusResults => {
+          Array.from(renderStatusResults).forEach((renderStatusResult, i) => {
+            if (renderStatusResult.isEmpty() || renderStatusResult.getStatus() === RenderStatus.RENDERING) {
+              return;
+            }
+
+            const renderRequest = renders.get(renderIds[i]);
+            renders.delete(renderIds[i]);
+            finishedRenders += 1;
+            if (renderStatusResult.getStatus() === RenderStatus.RENDERED) {
+              onRendered(renderRequest, renderStatusResult.getImageLocation(), renderStatusResult.getSelectorRegions());
+            } else {
+              const message = renderStatusResult.getError() || `status is ${renderStatusResult.getStatus()}`;
+              onFailure(renderRequest, `render ${renderIds[i]} failed, ${message}`);
+            }
+          });
+        }, err => {
+          that._logger.log('Can\'t get statuses of renders, trying again...', err.message || err);
+        }), that._promiseFactory.resolve())
+        .then(() => finishedRenders);
+    };
+
+    /**
+     * @param {number} interval Time between polls, it grows while no render is finished
+     * @return {Promise<void>}
+     */
+    const processRenders = interval => submitPendingRequests()
+      .then(() => GeneralUtils.sleep(interval, that._promiseFactory))
+      .then(() => pollRenders())
+      .then(finishedRenders => {
+        if (!renders.size && !pendingRequests.length) {
+          return null;
+        }
+
+        const nextInterval = finishedRenders ? RENDER_POLLING_INTERVAL :
+          Math.min(interval * RENDER_POLLING_BACKOFF_FACTOR, MAX_RENDER_POLLING_INTERVAL);
+        if (GeneralUtils.currentTimeMillis() + nextInterval > deadline) {
+          const message = `render is not finished in ${renderTimeout} ms`;
+          renders.forEach(renderRequest => that.onStoryError(renderRequest.getStory(), message));
+          pendingRequests.forEach(renderRequest => that.onStoryError(renderRequest.getStory(), message));
+          return null;
+        }
+
+        return processRenders(nextInterval);
       });
+
+    return pendingRequests.length ? processRenders(RENDER_POLLING_INTERVAL) : that._promiseFactory.resolve();
   }
 
   /**
    * @private
    * @param {EyesStorybookRenderRequest} renderRequest
    * @param {string} imageLocation
+   * @param {Array} [selectorRegions] Regions of elements matched by selectors of the request
    * @returns {Promise<TestResults>}
    */
-  testStory(renderRequest, imageLocation) {
+  testStory(renderRequest, imageLocation, selectorRegions) {
     let eyes;
     const that = this;
     return this._promiseFactory.resolve()
@@ -238,8 +476,10 @@ class EyesVisualGridRunner {
         eyes.setBatch(that._testBatch);
         eyes.addProperty('Component name', renderRequest.getStory().getComponentName());
         eyes.addProperty('State', renderRequest.getStory().getState());
-        eyes.setHostOS(getHostOSFromPlatform(renderRequest.getPlatform()));
-        eyes.setHostApp(getHostAppFromBrowserName(renderRequest.getBrowserName()));
+        const story = renderRequest.getStory();
+        const emulation = story.getEmulation();
+        eyes.setHostOS(getHostOSFromPlatform(renderRequest.getPlatform(), emulation));
+        eyes.setHostApp(getHostAppFromBrowserName(renderRequest.getBrowserName(), emulation, story.getBrowserLabel()));
         if (that._configs.showEyesSdkLogs) {
           eyes.setLogHandler(new ConsoleLogHandler(that._configs.showEyesSdkLogs === 'verbose'));
         }
@@ -251,14 +491,45 @@ class EyesVisualGridRunner {
           renderRequest.getStory().getViewportSize()
         );
       })
-      .then(() => eyes.checkUrl(imageLocation, renderRequest.getStory().getCompoundTitle()))
+      .then(() => {
+        const story = renderRequest.getStory();
+        const selectors = renderRequest.getSelectorsToFindRegionsFor();
+        const regionsBySelector = EyesRegionUtils.fromSelectorRegions(selectors, selectorRegions);
+        let origin;
+        if (renderRequest.getSelector() && selectors[0] === renderRequest.getSelector()) {
+          // regions are relative to the page, but only the rendered element is captured
+          const [elementRegion] = regionsBySelector.get(renderRequest.getSelector());
+          origin = elementRegion && elementRegion.getLocation();
+        }
+
+        const matchSettings = EyesRegionUtils.resolveRegions(
+          EyesRegionUtils.getMatchSettings(story, that._configs),
+          regionsBySelector,
+          origin
+        );
+        return eyes.checkUrl(imageLocation, story.getCompoundTitle(), matchSettings);
+      })
       .then(testResults => {
         that._logger.log(`Story ${renderRequest.getStory().toString()} was processed.`);
         that.onStoryDone();
         return testResults;
+      }, err => {
+        that.onStoryError(renderRequest.getStory(), err.message || String(err));
+        return null;
       });
   }
 
+  /**
+   * @private
+   * @param {EyesStorybookStory} story
+   * @param {string} message
+   */
+  onStoryError(story, message) {
+    this._logger.log(`Story ${story.toString()} was not tested: ${message}`);
+    this._storyErrors.push({ story, message });
+    this.onStoryDone();
+  }
+
   /**
    * @private
    */
@@ -0,0 +1,50 @@
+const fs = require('fs');
+
+const statsFilePath = ${statsFilePath};
+const customConfig = ${customConfig};
+
+function EyesWebpackStatsPlugin() {}
+
+EyesWebpackStatsPlugin.prototype.apply = function(compiler) {
+  const writeStats = function(stats) {
+    try {
+      const json = stats.toJson({ modules: true, reasons: true, assets: true, chunks: false, source: false });
+      const modules = json.modules.map(function(module) {
+        return {
+          id: module.id,
+          name: module.name,
+          reasons: (module.reasons || []).map(function(reason) { return reason.moduleId; }),
+          modules: (module.modules || []).map(function(innerModule) { return innerModule.name; }),
+        };
+      });
+      // files of chunks, including lazy ones, which are loaded by names built at runtime
+      const chunkFiles = (json.assets || [])
+        .filter(function(asset) { return asset.chunks && asset.chunks.length; })
+        .map(function(asset) { return asset.name; });
+      const result = { context: compiler.context, modules: modules, chunkFiles: chunkFiles };
+      fs.writeFileSync(statsFilePath, JSON.stringify(result));
+    } catch (e) {
+      console.warn('Eyes.Storybook can\'t write webpack stats:', e.message);
+    }
+  };
+
+  if (compiler.hooks) {
+    compiler.hooks.done.tap('EyesWebpackStatsPlugin', writeStats);
+  } else {
+    compiler.plugin('done', writeStats);
+  }
+};
+
+const addStatsPlugin = function(config) {
+  config.plugins = (config.plugins || []).concat(new EyesWebpackStatsPlugin());
+  return config;
+};
+
+if (typeof customConfig === 'function') {
+  module.exports = function() {
+    const config = customConfig.apply(this, arguments);
+    return config && typeof config.then === 'function' ? config.then(addStatsPlugin) : addStatsPlugin(config);
+  };
+} else {
+  module.exports = addStatsPlugin(Object.assign({}, customConfig));
+}
@@ -0,0 +1,31 @@
+/* eslint-disable */
+(function () {
+  // not probed with getContext(), because without `canvas` package JSDom reports it as an error
+  if (!window.HTMLCanvasElement) {
+    return;
+  }
+
+  var noop = function () {};
+  var context = {
+    canvas: null,
+    fillRect: noop, clearRect: noop, strokeRect: noop, fillText: noop, strokeText: noop,
+    beginPath: noop, closePath: noop, moveTo: noop, lineTo: noop, arc: noop, arcTo: noop, rect: noop,
+    bezierCurveTo: noop, quadraticCurveTo: noop, fill: noop, stroke: noop, clip: noop,
+    save: noop, restore: noop, scale: noop, rotate: noop, translate: noop, transform: noop, setTransform: noop,
+    drawImage: noop, putImageData: noop, setLineDash: noop,
+    getLineDash: function () { return []; },
+    measureText: function () { return { width: 0 }; },
+    createImageData: function () { return { data: [] }; },
+    getImageData: function () { return { data: [] }; },
+    createLinearGradient: function () { return { addColorStop: noop }; },
+    createRadialGradient: function () { return { addColorStop: noop }; },
+    createPattern: function () { return {}; }
+  };
+
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    return Object.assign({}, context, { canvas: this });
+  };
+  window.HTMLCanvasElement.prototype.toDataURL = function () {
+    return 'data:image/png;base64,';
+  };
+})();
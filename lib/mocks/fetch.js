@@ -0,0 +1,5 @@
+/* eslint-disable */
+// stories are only collected, so requests are never answered
+window.fetch = window.fetch || function () {
+  return new Promise(function () {});
+};
@@ -0,0 +1,14 @@
+/* eslint-disable */
+(function () {
+  var Observer = function (callback) {
+    this._callback = callback;
+  };
+  Observer.prototype.observe = function () {};
+  Observer.prototype.unobserve = function () {};
+  Observer.prototype.disconnect = function () {};
+  Observer.prototype.takeRecords = function () { return []; };
+
+  window.ResizeObserver = window.ResizeObserver || Observer;
+  window.IntersectionObserver = window.IntersectionObserver || Observer;
+  window.MutationObserver = window.MutationObserver || Observer;
+})();
@@ -0,0 +1,7 @@
+/* eslint-disable */
+window.requestAnimationFrame = window.requestAnimationFrame || function (callback) {
+  return setTimeout(function () { callback(Date.now()); }, 16);
+};
+window.cancelAnimationFrame = window.cancelAnimationFrame || function (id) {
+  clearTimeout(id);
+};